@@ -1,673 +1,2937 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { BarChart, Bar, XAxis, YAxis, ResponsiveContainer } from 'recharts';
-import { Camera } from "lucide-react";
-import { Alert, AlertDescription, AlertTitle } from '@/components/ui/alert';
-
-// Assume plantDatabase is imported from a separate file
-import { plantDatabase } from './plantDatabase';
-
-const CELL_SIZE = 30;
-const ACRE_TO_SQ_FT = 43560;
-const CELL_AREA = 9 * 9; // Each cell represents 9x9 feet
-
-const analyzePlantCompatibility = (gridState) => {
-    const plantList = Object.values(gridState).flat();
-    const compatibilityReport = [];
-    const incompatiblePairs = [];
-
-    for (let i = 0; i < plantList.length; i++) {
-        for (let j = i + 1; j < plantList.length; j++) {
-            const plant1 = plantList[i];
-            const plant2 = plantList[j];
-
-            if (plant1.companions.includes(plant2.name)) {
-                compatibilityReport.push(`${plant1.name} and ${plant2.name} are good companions.`);
-            } else if (!plant1.companions.includes(plant2.name) && !plant2.companions.includes(plant1.name)) {
-                incompatiblePairs.push(`${plant1.name} and ${plant2.name} may not be ideal companions.`);
-            }
-        }
-    }
-
-    return { compatibilityReport, incompatiblePairs };
-};
-
-const getPlantRepresentation = (plant) => {
-    const baseSize = CELL_SIZE / 3;
-    const layerConfig = {
-        'Canopy': { color: '#228B22', sizeFactor: 2.5 },
-        'Sub-canopy': { color: '#32CD32', sizeFactor: 2 },
-        'Shrub': { color: '#90EE90', sizeFactor: 1.5 },
-        'Herbaceous': { color: '#98FB98', sizeFactor: 1 },
-        'Ground Cover': { color: '#00FA9A', sizeFactor: 0.8 },
-        'Vine': { color: '#3CB371', sizeFactor: 1.2 },
-        'Root': { color: '#964B00', sizeFactor: 0.7 }
-    };
-
-    const config = layerConfig[plant.layer] || { color: '#000000', sizeFactor: 1 };
-    return {
-        color: config.color,
-        size: baseSize * config.sizeFactor
-    };
-};
-
-const getCompanionSuggestions = (selectedPlants) => {
-    const suggestions = new Set();
-    selectedPlants.forEach(plant => {
-        if (plant.companions) {
-            plant.companions.forEach(companion => {
-                if (!selectedPlants.includes(companion)) {
-                    suggestions.add(companion);
-                }
-            });
-        }
-    });
-    return Array.from(suggestions);
-};
-
-const FullReportModal = ({ compatibilityAnalysis, biodiversityScore, yieldScore, verticalScore, profit, onClose }) => {
-    return (
-        <div className="full-report-modal">
-            <h2>Food Forest Full Report</h2>
-            
-            <div className="score-summary">
-                <h3>Scores:</h3>
-                <p>Biodiversity Score: {biodiversityScore}</p>
-                <p>Yield Score: {yieldScore}</p>
-                <p>Vertical Score: {verticalScore}</p>
-                <p>Total Profit: ${profit.toFixed(2)}</p>
-            </div>
-
-            <div className="compatibility-analysis">
-                <h3>Plant Compatibility Analysis:</h3>
-                {compatibilityAnalysis.compatibilityReport.length > 0 && (
-                    <div className="good-companions">
-                        <h4>Good Companions:</h4>
-                        <ul>
-                            {compatibilityAnalysis.compatibilityReport.map((report, index) => (
-                                <li key={index}>{report}</li>
-                            ))}
-                        </ul>
-                    </div>
-                )}
-                {compatibilityAnalysis.incompatiblePairs.length > 0 && (
-                    <div className="incompatible-pairs">
-                        <h4>Potential Incompatibilities:</h4>
-                        <ul>
-                            {compatibilityAnalysis.incompatiblePairs.map((pair, index) => (
-                                <li key={index}>{pair}</li>
-                            ))}
-                        </ul>
-                    </div>
-                )}
-            </div>
-
-            <button onClick={onClose}>Close Report</button>
-        </div>
-    );
-};
-
-const EconomicAnalysisTool = ({ gridState, forestAge }) => {
-    const [setupCosts, setSetupCosts] = useState({
-        landCost: 10000,
-        soilPreparation: 2000,
-        irrigation: 3000,
-        initialPlants: 1000,
-        tools: 500,
-    });
-
-    const [annualCosts, setAnnualCosts] = useState({
-        maintenance: 1000,
-        water: 500,
-        additionalPlants: 200,
-    });
-
-    const [income, setIncome] = useState({});
-    const [netProfit, setNetProfit] = useState(0);
-    const [roi, setRoi] = useState(0);
-
-    useEffect(() => {
-        calculateIncome();
-    }, [gridState, forestAge]);
-
-    useEffect(() => {
-        calculateNetProfit();
-    }, [income, setupCosts, annualCosts, forestAge]);
-
-    const calculateIncome = () => {
-        const newIncome = {};
-        Object.values(gridState).flat().forEach(plant => {
-            const dbPlant = plantDatabase.find(p => p.id === plant.id);
-            if (dbPlant) {
-                const maturityFactor = Math.min(1, forestAge / dbPlant.maturityAge);
-                const annualYield = dbPlant.yieldPerYear * maturityFactor;
-                const plantIncome = annualYield * dbPlant.marketPrice;
-                newIncome[dbPlant.name] = (newIncome[dbPlant.name] || 0) + plantIncome;
-            }
-        });
-        setIncome(newIncome);
-    };
-
-    const calculateNetProfit = () => {
-        const totalIncome = Object.values(income).reduce((sum, val) => sum + val, 0);
-        const totalSetupCosts = Object.values(setupCosts).reduce((sum, val) => sum + val, 0);
-        const totalAnnualCosts = Object.values(annualCosts).reduce((sum, val) => sum + val, 0);
-        const profit = totalIncome - totalAnnualCosts;
-        const newNetProfit = profit * forestAge - totalSetupCosts;
-        setNetProfit(newNetProfit);
-
-        const totalCosts = totalSetupCosts + totalAnnualCosts * forestAge;
-        const newRoi = totalCosts > 0 ? (newNetProfit / totalCosts) * 100 : 0;
-        setRoi(newRoi);
-    };
-
-    const handleSetupCostChange = (key, value) => {
-        setSetupCosts(prev => ({ ...prev, [key]: Number(value) }));
-    };
-
-    const handleAnnualCostChange = (key, value) => {
-        setAnnualCosts(prev => ({ ...prev, [key]: Number(value) }));
-    };
-
-    return (
-        <div className="economic-analysis-tool">
-            <h2>Economic Analysis</h2>
-            
-            <div className="cost-inputs">
-                <h3>Setup Costs</h3>
-                {Object.entries(setupCosts).map(([key, value]) => (
-                    <div key={key}>
-                        <label>{key.charAt(0).toUpperCase() + key.slice(1)}:</label>
-                        <input
-                            type="number"
-                            value={value}
-                            onChange={(e) => handleSetupCostChange(key, e.target.value)}
-                        />
-                    </div>
-                ))}
-
-                <h3>Annual Costs</h3>
-                {Object.entries(annualCosts).map(([key, value]) => (
-                    <div key={key}>
-                        <label>{key.charAt(0).toUpperCase() + key.slice(1)}:</label>
-                        <input
-                            type="number"
-                            value={value}
-                            onChange={(e) => handleAnnualCostChange(key, e.target.value)}
-                        />
-                    </div>
-                ))}
-            </div>
-
-            <div className="income-summary">
-                <h3>Estimated Annual Income</h3>
-                <ul>
-                    {Object.entries(income).map(([plant, value]) => (
-                        <li key={plant}>{plant}: ${value.toFixed(2)}</li>
-                    ))}
-                </ul>
-                <p>Total Annual Income: ${Object.values(income).reduce((sum, val) => sum + val, 0).toFixed(2)}</p>
-            </div>
-
-            <div className="profit-summary">
-                <h3>Profit Analysis (over {forestAge} years)</h3>
-                <p>Net Profit: ${netProfit.toFixed(2)}</p>
-                <p>Return on Investment (ROI): {roi.toFixed(2)}%</p>
-            </div>
-        </div>
-    );
-};
-
-const FoodForestPlanner = () => {
-    const [gridState, setGridState] = useState({});
-    const [selectedPlant, setSelectedPlant] = useState(null);
-    const [climate, setClimate] = useState('Tropical');
-    const [forestAge, setForestAge] = useState(1);
-    const [searchTerm, setSearchTerm] = useState('');
-    const [selectedLayer, setSelectedLayer] = useState('All');
-    const [score, setScore] = useState(0);
-    const [profit, setProfit] = useState(0);
-    const [biodiversityScore, setBiodiversityScore] = useState(0);
-    const [yieldScore, setYieldScore] = useState(0);
-    const [verticalScore, setVerticalScore] = useState(0);
-    const [currentTool, setCurrentTool] = useState('plant');
-    const [showModal, setShowModal] = useState(false);
-    const [modalPlant, setModalPlant] = useState(null);
-    const [propertySize, setPropertySize] = useState(1);
-    const [gridSize, setGridSize] = useState(21);
-    const canvasRef = useRef(null);
-    const [sizeMode, setSizeMode] = useState('acre');
-    const [customLength, setCustomLength] = useState(0);
-    const [customWidth, setCustomWidth] = useState(0);
-    const [companionSuggestions, setCompanionSuggestions] = useState([]);
-    const [compatibilityAnalysis, setCompatibilityAnalysis] = useState({ compatibilityReport: [], incompatiblePairs: [] });
-
-    useEffect(() => {
-        drawGrid();
-        updateCompanionSuggestions();
-    }, [gridState, gridSize]);
-
-    useEffect(() => {
-        updateGridSize();
-    }, [propertySize, sizeMode, customLength, customWidth]);
-
-    useEffect(() => {
-        const analysis = analyzePlantCompatibility(gridState);
-        setCompatibilityAnalysis(analysis);
-    }, [gridState]);
-
-    const updateGridSize = () => {
-        let newGridSize;
-        if (sizeMode === 'acre') {
-            const squareFeet = propertySize * ACRE_TO_SQ_FT;
-            newGridSize = Math.floor(Math.sqrt(squareFeet / CELL_AREA));
-        } else {
-            newGridSize = Math.floor(Math.min(customLength, customWidth) / 9);
-        }
-        newGridSize = Math.max(newGridSize, 1);
-        setGridSize(newGridSize);
-        setGridState({});
-    };
-
-    const drawGrid = () => {
-        const canvas = canvasRef.current;
-        if (!canvas) return;
-        const ctx = canvas.getContext('2d');
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
-
-        ctx.strokeStyle = '#ccc';
-        for (let i = 0; i <= gridSize; i++) {
-            ctx.beginPath();
-            ctx.moveTo(i * CELL_SIZE, 0);
-            ctx.lineTo(i * CELL_SIZE, gridSize * CELL_SIZE);
-            ctx.stroke();
-            ctx.beginPath();
-            ctx.moveTo(0, i * CELL_SIZE);
-            ctx.lineTo(gridSize * CELL_SIZE, i * CELL_SIZE);
-            ctx.stroke();
-        }
-
-        Object.entries(gridState).forEach(([key, plants]) => {
-            const [x, y] = key.split(',').map(Number);
-            plants.forEach((plant, index) => {
-                const { color, size } = getPlantRepresentation(plant);
-                ctx.fillStyle = color;
-                ctx.beginPath();
-                ctx.arc(
-                    x * CELL_SIZE + CELL_SIZE / 2,
-                    y * CELL_SIZE + CELL_SIZE / 2 + index * 5,
-                    size,
-                    0,
-                    2 * Math.PI
-                );
-                ctx.fill();
-
-                ctx.fillStyle = 'white';
-                ctx.font = `${size}px Arial`;
-                ctx.textAlign = 'center';
-                ctx.textBaseline = 'middle';
-                ctx.fillText(
-                    plant.symbol,
-                    x * CELL_SIZE + CELL_SIZE / 2,
-                    y * CELL_SIZE + CELL_SIZE / 2 + index * 5
-                );
-            });
-        });
-    };
-
-    const updateCompanionSuggestions = () => {
-        const selectedPlants = Object.values(gridState).flat().map(plant => plant.name);
-        const suggestions = getCompanionSuggestions(selectedPlants);
-        setCompanionSuggestions(suggestions);
-    };
-
-    const calculateScores = () => {
-        const plants = Object.values(gridState).flat();
-        
-        const uniqueSpecies = new Set(plants.map(p => p.name)).size;
-        const layersUsed = new Set(plants.map(p => p.layer)).size;
-        const newBiodiversityScore = uniqueSpecies * 10 + (layersUsed === 7 ? 50 : 0);
-
-        const totalYield = plants.reduce((sum, plant) => {
-            const maturityFactor = Math.min(1, (forestAge / plant.maturityAge));
-            return sum + (plant.yieldPerYear * maturityFactor);
-        }, 0);
-        const newYieldScore = Math.floor(totalYield);
-
-        const layerCounts = plants.reduce((count, plant) => {
-            count[plant.layer] = (count[plant.layer] || 0) + 1;
-            return count;
-        }, {});
-        const newVerticalScore = Object.values(layerCounts).reduce((score, count) => score + Math.min(count, 5) * 10, 0);
-
-        setBiodiversityScore(newBiodiversityScore);
-        setYieldScore(newYieldScore);
-        setVerticalScore(newVerticalScore);
-
-        const newProfit = calculateProfit();
-        setProfit(newProfit);
-
-        return newBiodiversityScore + newYieldScore + newVerticalScore;
-    };
-
-    const calculateProfit = () => {
-        const totalIncome = Object.values(gridState).flat().reduce((sum, plant) => {
-            const maturityFactor = Math.min(1, (forestAge / plant.maturityAge));
-            return sum + (plant.yieldPerYear * maturityFactor * plant.marketPrice);
-        }, 0);
-
-        const setupCost = 1000;
-        const annualCost = 500;
-
-        const totalCost = setupCost + (annualCost * forestAge);
-        return totalIncome * forestAge - totalCost;
-    };
-
-    const handleCanvasClick = (event) => {
-        const canvas = canvasRef.current;
-        if (!canvas) return;
-        const rect = canvas.getBoundingClientRect();
-        const x = Math.floor((event.clientX - rect.left) / CELL_SIZE);
-        const y = Math.floor((event.clientY - rect.top) / CELL_SIZE);
-        const key = `${x},${y}`;
-
-        if (currentTool === 'plant' && selectedPlant) {
-            setGridState(prevState => {
-                const currentPlants = prevState[key] || [];
-                const layerCapacity = {
-                    'Canopy': 1,
-                    'Shrub': 4,
-                    'Root': 7
-                };
-                const capacity = layerCapacity[selectedPlant.layer] || 7;
-                
-                if (currentPlants.filter(p => p.layer === selectedPlant.layer).length < capacity) {
-                    return {
-                        ...prevState,
-                        [key]: [...currentPlants, selectedPlant]
-                    };
-                }
-                return prevState;
-            });
-            updateCompanionSuggestions();
-        } else if (currentTool === 'eraser') {
-            setGridState(prevState => {
-                const { [key]: _, ...newState } = prevState;
-                return newState;
-            });
-            updateCompanionSuggestions();
-        } else if (currentTool === 'info') {
-            const plantsAtLocation = gridState[key] || [];
-            if (plantsAtLocation.length > 0) {
-                setModalPlant(plantsAtLocation[plantsAtLocation.length - 1]);
-                setShowModal(true);
-            }
-        }
-
-        const newTotalScore = calculateScores();
-        setScore(newTotalScore);
-    };
-
-    const exportSVG = () => {
-        const canvas = canvasRef.current;
-        if (!canvas) return;
-
-        const svgString = `
-            <svg width="${canvas.width}" height="${canvas.height}" xmlns="http://www.w3.org/2000/svg">
-                <rect width="100%" height="100%" fill="white"/>
-                ${Object.entries(gridState).map(([key, plants]) => {
-                    const [x, y] = key.split(',').map(Number);
-                    return plants.map((plant, index) => {
-                        const { color, size } = getPlantRepresentation(plant);
-                        return `
-                            <circle cx="${x * CELL_SIZE + CELL_SIZE / 2}" cy="${y * CELL_SIZE + CELL_SIZE / 2 + index * 5}" r="${size}" fill="${color}"/>
-                            <text x="${x * CELL_SIZE + CELL_SIZE / 2}" y="${y * CELL_SIZE + CELL_SIZE / 2 + index * 5}" font-family="Arial" font-size="${size}" fill="white" text-anchor="middle" dominant-baseline="middle">${plant.symbol}</text>
-                        `;
-                    }).join('');
-                }).join('')}
-            </svg>
-        `;
-
-        const blob = new Blob([svgString], { type: 'image/svg+xml' });
-        const url = URL.createObjectURL(blob);
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = 'food_forest_plan.svg';
-        link.click();
-    };
-
-    const exportJPG = () => {
-        const canvas = canvasRef.current;
-        if (!canvas) return;
-
-        const link = document.createElement('a');
-        link.href = canvas.toDataURL('image/jpeg');
-        link.download = 'food_forest_plan.jpg';
-        link.click();
-    };
-
-    const downloadCSV = () => {
-        let csvContent = "data:text/csv;charset=utf-8,";
-        csvContent += "X,Y,Plant Name,Layer\n";
-
-        Object.entries(gridState).forEach(([key, plants]) => {
-            const [x, y] = key.split(',');
-            plants.forEach(plant => {
-                csvContent += `${x},${y},${plant.name},${plant.layer}\n`;
-            });
-        });
-
-        const encodedUri = encodeURI(csvContent);
-        const link = document.createElement("a");
-        link.setAttribute("href", encodedUri);
-        link.setAttribute("download", "food_forest_coordinates.csv");
-        document.body.appendChild(link);
-        link.click();
-    };
-
-    const filteredPlants = plantDatabase
-        .filter(plant => plant.climate === climate)
-        .filter(plant => plant.name.toLowerCase().includes(searchTerm.toLowerCase()))
-        .filter(plant => selectedLayer === 'All' || plant.layer === selectedLayer);
-
-    return (
-        <div className="container">
-            <h1>Food Forest Planner</h1>
-
-            <div className="compatibility-feedback">
-                <h3>Planting Arrangement Feedback</h3>
-                <p>Total Score: {score}</p>
-                <p>Biodiversity Score: {biodiversityScore}</p>
-                <p>Yield Score: {yieldScore}</p>
-                <p>Vertical Score: {verticalScore}</p>
-                <p>Profit: ${profit.toFixed(2)}</p>
-                <button onClick={exportSVG}>Export as SVG</button>
-                <button onClick={exportJPG}>Export as JPG</button>
-                <button onClick={() => setShowModal(true)}>View Full Report</button>
-                {compatibilityAnalysis.compatibilityReport.length > 0 && (
-                    <div className="good-companions">
-                        <h4>Good Companions:</h4>
-                        <ul>
-                            {compatibilityAnalysis.compatibilityReport.map((report, index) => (
-                                <li key={index}>{report}</li>
-                            ))}
-                        </ul>
-                    </div>
-                )}
-                {compatibilityAnalysis.incompatiblePairs.length > 0 && (
-                    <div className="incompatible-pairs">
-                        <h4>Potential Incompatibilities:</h4>
-                        <ul>
-                            {compatibilityAnalysis.incompatiblePairs.map((pair, index) => (
-                                <li key={index}>{pair}</li>
-                            ))}
-                        </ul>
-                    </div>
-                )}
-            </div>
-
-            <div className="tool-selection">
-                <button onClick={() => setCurrentTool('plant')} className={currentTool === 'plant' ? 'active' : ''}>Plant</button>
-                <button onClick={() => setCurrentTool('eraser')} className={currentTool === 'eraser' ? 'active' : ''}>Eraser</button>
-                <button onClick={() => setCurrentTool('info')} className={currentTool === 'info' ? 'active' : ''}>Info</button>
-            </div>
-
-            <div className="search-box">
-                <input
-                    type="text"
-                    placeholder="Search for plants..."
-                    value={searchTerm}
-                    onChange={(e) => setSearchTerm(e.target.value)}
-                />
-            </div>
-
-            <select value={climate} onChange={(e) => setClimate(e.target.value)}>
-                <option value="Tropical">Tropical</option>
-                <option value="Subtropical">Subtropical</option>
-                <option value="Temperate">Temperate</option>
-            </select>
-
-            <select value={selectedLayer} onChange={(e) => setSelectedLayer(e.target.value)}>
-                <option value="All">All Layers</option>
-                <option value="Canopy">Canopy</option>
-                <option value="Sub-canopy">Sub-canopy</option>
-                <option value="Shrub">Shrub</option>
-                <option value="Herbaceous">Herbaceous</option>
-                <option value="Ground Cover">Ground Cover</option>
-                <option value="Vine">Vine</option>
-                <option value="Root">Root</option>
-            </select>
-
-            <div className="grid">
-                <div className="plant-selection">
-                    {filteredPlants.map(plant => (
-                        <button
-                            key={plant.id}
-                            className={selectedPlant && selectedPlant.id === plant.id ? 'selected' : ''}
-                            onClick={() => setSelectedPlant(plant)}
-                        >
-                            {plant.name} ({plant.layer})
-                        </button>
-                    ))}
-                </div>
-                <canvas
-                    ref={canvasRef}
-                    width={gridSize * CELL_SIZE}
-                    height={gridSize * CELL_SIZE}
-                    onClick={handleCanvasClick}
-                    style={{ border: '1px solid black' }}
-                />
-            </div>
-
-            <div id="companion-suggestions" className="companion-suggestions">
-                <h3>Companion Plant Suggestions:</h3>
-                {companionSuggestions.map((plant, index) => (
-                    <span key={index} className="companion-suggestion" onClick={() => setSelectedPlant(plantDatabase.find(p => p.name === plant))}>
-                        {plant}
-                    </span>
-                ))}
-            </div>
-
-            <div className="slider-container">
-                <label htmlFor="forest-age">Forest Age: {forestAge} years</label>
-                <input
-                    id="forest-age"
-                    type="range"
-                    min="1"
-                    max="50"
-                    value={forestAge}
-                    onChange={(e) => setForestAge(Number(e.target.value))}
-                    className="slider"
-                />
-            </div>
-
-            <div className="property-size-container">
-                <label htmlFor="size-mode">Size Mode:</label>
-                <select id="size-mode" value={sizeMode} onChange={(e) => setSizeMode(e.target.value)}>
-                    <option value="acre">Acre</option>
-                    <option value="custom">Custom</option>
-                </select>
-                {sizeMode === 'acre' && (
-                    <div>
-                        <label htmlFor="property-size">Property Size (in acres):</label>
-                        <input
-                            id="property-size"
-                            type="number"
-                            value={propertySize}
-                            onChange={(e) => setPropertySize(Number(e.target.value))}
-                            min="0.1"
-                            step="0.1"
-                        />
-                    </div>
-                )}
-                {sizeMode === 'custom' && (
-                    <div>
-                        <label htmlFor="custom-length">Length (in feet):</label>
-                        <input
-                            id="custom-length"
-                            type="number"
-                            value={customLength}
-                            onChange={(e) => setCustomLength(Number(e.target.value))}
-                            min="9"
-                            step="9"
-                        />
-                        <label htmlFor="custom-width">Width (in feet):</label>
-                        <input
-                            id="custom-width"
-                            type="number"
-                            value={customWidth}
-                            onChange={(e) => setCustomWidth(Number(e.target.value))}
-                            min="9"
-                            step="9"
-                        />
-                    </div>
-                )}
-            </div>
-
-            <EconomicAnalysisTool
-                gridState={gridState}
-                forestAge={forestAge}
-            />
-
-            <div className="export-buttons">
-                <button onClick={exportSVG}>Export as SVG</button>
-                <button onClick={exportJPG}>Export as JPG</button>
-                <button onClick={downloadCSV}>Export Coordinates as CSV</button> 
-            </div>
-
-            {showModal && (
-                <div className="modal">
-                    <div className="modal-content">
-                        <span className="close" onClick={() => setShowModal(false)}>&times;</span>
-                        {modalPlant ? (
-                            <div className="plant-info">
-                                <img src={modalPlant.image} alt={modalPlant.name} />
-                                <div className="plant-details">
-                                    <h2>{modalPlant.name}</h2>
-                                    <p>{modalPlant.description}</p>
-                                    <ul>
-                                        <li><strong>Climate:</strong> {modalPlant.climate}</li>
-                                        <li><strong>Layer:</strong> {modalPlant.layer}</li>
-                                        <li><strong>Yield per Year:</strong> {modalPlant.yieldPerYear} {modalPlant.unit}</li>
-                                        <li><strong>Market Price:</strong> ${modalPlant.marketPrice} per {modalPlant.unit}</li>
-                                        <li><strong>Maturity Age:</strong> {modalPlant.maturityAge} years</li>
-                                    </ul>
-                                </div>
-                            </div>
-                        ) : (
-                            <FullReportModal
-                                compatibilityAnalysis={compatibilityAnalysis}
-                                biodiversityScore={biodiversityScore}
-                                yieldScore={yieldScore}
-                                verticalScore={verticalScore}
-                                profit={profit}
-                                onClose={() => setShowModal(false)}
-                            />
-                        )}
-                    </div>
-                </div>
-            )}
-        </div>
-    );
-};
-
+import React, { useState, useEffect, useRef } from 'react';
+import { BarChart, Bar, LineChart, Line, XAxis, YAxis, Tooltip, Legend, ReferenceLine, ResponsiveContainer } from 'recharts';
+import { Camera } from "lucide-react";
+import { Alert, AlertDescription, AlertTitle } from '@/components/ui/alert';
+
+// Assume plantDatabase is imported from a separate file
+import { plantDatabase } from './plantDatabase';
+import {
+    listProjects,
+    loadProject,
+    saveProject,
+    renameProject,
+    duplicateProject,
+    deleteProject,
+    saveAutosave,
+    loadAutosave,
+    hasUnsavedChanges
+} from './projectStorage';
+import {
+    createProjectDocument,
+    readProjectDocument,
+    parseProjectFile,
+    stringifyProjectDocument,
+    PROJECT_FILE_EXTENSION
+} from './projectFormat';
+import { getPlacementError, trimGridToSize, isInsideGrid, removeExcludedPlants } from './gridRules';
+import { computeCanopyCover } from './plantFootprint';
+import { DEFAULT_LATITUDES, computeShadeMap, findLightIssues } from './shadeModel';
+import {
+    CLIMATE_PRESETS,
+    HARDINESS_ZONES,
+    formatZone,
+    getRHSRating,
+    isFrostDate,
+    getFrostFreeDays,
+    getSuitability,
+    rankPlantsBySuitability
+} from './siteClimate';
+import {
+    FACETS,
+    RANGES,
+    SORTS,
+    createPlantFilters,
+    countActiveFilters,
+    searchPlants,
+    getValuePerCell,
+    loadSearchPresets,
+    saveSearchPreset,
+    deleteSearchPreset
+} from './plantSearch';
+import { DEFAULT_COMPANION_RADIUS, MAX_COMPANION_RADIUS, createCompanionEngine } from './companionAnalysis';
+import { buildCompanionGraph, layoutCompanionGraph, getNeighbours } from './companionGraph';
+import { CLIMATES, LAYERS, SEVERITIES, ECOLOGICAL_ROLES, POLLINATION_TYPES, validatePlantInDatabase } from './plantValidation';
+import {
+    DEFAULT_POLLINATION_DISTANCE,
+    MAX_POLLINATION_DISTANCE,
+    SEXES,
+    isDioecious,
+    createPlanting,
+    analyzePollination
+} from './pollination';
+import {
+    getBuiltinGuilds,
+    createGuildFromArea,
+    countGuildPlants,
+    describeGuild,
+    stampGuild,
+    loadGuilds,
+    saveGuild,
+    deleteGuild
+} from './guilds';
+import { countEcologicalRoles, analyzeTreeSupport } from './ecologicalRoles';
+import { BIODIVERSITY_INDICES, calculateBiodiversityTrend } from './biodiversity';
+import { MAX_FOREST_AGE, getStandingPlants, getYieldFactor, listRemovals } from './growth';
+import {
+    SCORE_KEYS,
+    DEFAULT_WEIGHTS,
+    SCORING_RULES,
+    SCORING_PRESETS,
+    calculateScores,
+    calculateProfit,
+    projectScores,
+    loadScoringModel,
+    saveScoringModel
+} from './scoring';
+import { DEFAULT_ITERATIONS, MAX_ITERATIONS } from './layoutOptimizer';
+import { FACTOR_WEIGHTS, recommendPlantsForCell } from './cellRecommendations';
+import {
+    loadPlantLibrary,
+    savePlantLibrary,
+    mergePlantLibrary,
+    getPlantSource,
+    nextCustomPlantId,
+    putLibraryPlant,
+    removeLibraryPlant,
+    replacePlantRecords,
+    createBlankPlant
+} from './plantLibrary';
+import {
+    CATALOG_FIELDS,
+    parsePlantCatalog,
+    guessColumnMapping,
+    previewPlantCatalog,
+    applyPlantCatalog,
+    exportPlantsCSV,
+    exportPlantsJSON
+} from './plantCatalog';
+import { CELL_SIZE, getPlantRepresentation, drawGridView, drawMinimap, renderFullGrid } from './gridRenderer';
+import { screenToWorld, screenToCell, zoomAt, panBy, centerOn, fitToView } from './viewport';
+import {
+    CELL_FEET,
+    snapToCorner,
+    excludedCellsFromPolygon,
+    toggleExcludedCell,
+    countUsableCells,
+    polygonArea
+} from './propertyBoundary';
+import { coordinatesToCSV, importCoordinatesCSV } from './coordinatesCsv';
+import {
+    createHistory,
+    recordHistory,
+    undoHistory,
+    redoHistory,
+    canUndo,
+    canRedo,
+    undoLabel,
+    redoLabel
+} from './history';
+
+const ACRE_TO_SQ_FT = 43560;
+const MINIMAP_SIZE = 150;
+const DRAG_THRESHOLD = 4; // px a pointer may move before a click becomes a pan
+const CELL_AREA = 9 * 9; // Each cell represents 9x9 feet
+
+const DEFAULT_SETUP_COSTS = {
+    landCost: 10000,
+    soilPreparation: 2000,
+    irrigation: 3000,
+    initialPlants: 1000,
+    tools: 500,
+};
+
+const DEFAULT_ANNUAL_COSTS = {
+    maintenance: 1000,
+    water: 500,
+    additionalPlants: 200,
+};
+
+const PAIRS_PER_PAGE = 10;
+
+// One page of species pairings at a time; long lists on big grids stay readable
+const CompanionPairList = ({ title, className, pairs, onSelectPair }) => {
+    const [page, setPage] = useState(0);
+    const pageCount = Math.ceil(pairs.length / PAIRS_PER_PAGE);
+
+    useEffect(() => {
+        if (page > 0 && page >= pageCount) setPage(Math.max(pageCount - 1, 0));
+    }, [pageCount]);
+
+    if (pairs.length === 0) return null;
+
+    return (
+        <div className={className}>
+            <h4>{title} ({pairs.length}):</h4>
+            <ul>
+                {pairs.slice(page * PAIRS_PER_PAGE, (page + 1) * PAIRS_PER_PAGE).map(pair => (
+                    <li
+                        key={pair.id}
+                        className={onSelectPair ? 'selectable' : ''}
+                        onClick={onSelectPair ? () => onSelectPair(pair) : undefined}
+                    >
+                        {pair.species[0]} &amp; {pair.species[1]}: {pair.count} pairing{pair.count === 1 ? '' : 's'}
+                        {' '}in {pair.locations.length} cell{pair.locations.length === 1 ? '' : 's'}
+                        {pair.relation === 'harmful' && ` (${pair.severity} risk: ${pair.reasons.join('; ')})`}
+                    </li>
+                ))}
+            </ul>
+            {pageCount > 1 && (
+                <div className="pagination">
+                    <button onClick={() => setPage(page - 1)} disabled={page === 0}>Previous</button>
+                    <span>Page {page + 1} of {pageCount}</span>
+                    <button onClick={() => setPage(page + 1)} disabled={page >= pageCount - 1}>Next</button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+const CompanionAnalysisLists = ({ pairs, onSelectPair }) => (
+    <>
+        <CompanionPairList
+            title="Harmful Combinations"
+            className="incompatible-pairs"
+            pairs={pairs.filter(pair => pair.relation === 'harmful')}
+            onSelectPair={onSelectPair}
+        />
+        <CompanionPairList
+            title="Beneficial Companions"
+            className="good-companions"
+            pairs={pairs.filter(pair => pair.relation === 'beneficial')}
+            onSelectPair={onSelectPair}
+        />
+        <CompanionPairList
+            title="Neutral or Unknown"
+            className="neutral-pairs"
+            pairs={pairs.filter(pair => pair.relation === 'neutral')}
+            onSelectPair={onSelectPair}
+        />
+    </>
+);
+
+const getCompanionSuggestions = (placedPlants) => {
+    const placedNames = placedPlants.map(plant => plant.name);
+    const suggestions = new Set();
+    placedPlants.forEach(plant => {
+        if (plant.companions) {
+            plant.companions.forEach(companion => {
+                if (!placedNames.includes(companion)) {
+                    suggestions.add(companion);
+                }
+            });
+        }
+    });
+    return Array.from(suggestions);
+};
+
+const COUNT_INDICES = ['species', 'genera', 'families'];
+
+const formatIndex = (key, value) => (COUNT_INDICES.includes(key) ? value : value.toFixed(2));
+
+// trend holds the indices after each recorded edit, ending with the current design
+const BiodiversityReport = ({ trend }) => {
+    const current = trend[trend.length - 1];
+    const start = trend[0];
+    return (
+        <div className="biodiversity-report">
+            <h3>Biodiversity Indices:</h3>
+            <table>
+                <thead>
+                    <tr>
+                        <th>Index</th>
+                        <th>Value</th>
+                        {trend.length > 1 && <th>Since Start</th>}
+                        <th>Meaning</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {BIODIVERSITY_INDICES.map(({ key, label, description }) => {
+                        const change = current[key] - start[key];
+                        return (
+                            <tr key={key}>
+                                <td>{label}</td>
+                                <td>{formatIndex(key, current[key])}</td>
+                                {trend.length > 1 && <td>{change > 0 ? '+' : ''}{formatIndex(key, change)}</td>}
+                                <td>{description}</td>
+                            </tr>
+                        );
+                    })}
+                </tbody>
+            </table>
+            <p>
+                {current.plants} plants fill {current.layersUsed} of {LAYERS.length} layers
+                and {current.rolesPresent} of {ECOLOGICAL_ROLES.length} ecological roles.
+            </p>
+            {trend.length > 1 && (
+                <>
+                    <h4>Diversity as the Design Grew</h4>
+                    <ResponsiveContainer width="100%" height={250}>
+                        <LineChart data={trend}>
+                            <XAxis dataKey="step" />
+                            <YAxis yAxisId="index" />
+                            <YAxis yAxisId="share" orientation="right" domain={[0, 1]} />
+                            <Tooltip
+                                labelFormatter={(step) => `${step}: ${trend[step].label}`}
+                                formatter={(value) => value.toFixed(2)}
+                            />
+                            <Legend />
+                            <Line yAxisId="index" dataKey="shannon" name="Shannon" stroke="#27ae60" dot={false} />
+                            <Line yAxisId="index" dataKey="familyShannon" name="Family Shannon" stroke="#8e44ad" dot={false} />
+                            <Line yAxisId="index" dataKey="roleShannon" name="Functional" stroke="#16a085" dot={false} />
+                            <Line yAxisId="share" dataKey="simpson" name="Simpson" stroke="#2980b9" dot={false} />
+                            <Line yAxisId="share" dataKey="evenness" name="Evenness" stroke="#e67e22" dot={false} />
+                        </LineChart>
+                    </ResponsiveContainer>
+                </>
+            )}
+        </div>
+    );
+};
+
+const FullReportModal = ({ compatibilityAnalysis, biodiversityScore, yieldScore, verticalScore, profit, biodiversityTrend, onClose }) => {
+    return (
+        <div className="full-report-modal">
+            <h2>Food Forest Full Report</h2>
+            
+            <div className="score-summary">
+                <h3>Scores:</h3>
+                <p>Biodiversity Score: {biodiversityScore}</p>
+                <p>Yield Score: {yieldScore}</p>
+                <p>Vertical Score: {verticalScore}</p>
+                <p>Total Profit: ${profit.toFixed(2)}</p>
+            </div>
+
+            {biodiversityTrend.length > 0 && <BiodiversityReport trend={biodiversityTrend} />}
+
+            <div className="compatibility-analysis">
+                <h3>Plant Compatibility Analysis:</h3>
+                <CompanionAnalysisLists pairs={compatibilityAnalysis.pairs} />
+            </div>
+
+            <button onClick={onClose}>Close Report</button>
+        </div>
+    );
+};
+
+const EconomicAnalysisTool = ({ plantings, plants, forestAge, setupCosts, setSetupCosts, annualCosts, setAnnualCosts }) => {
+    const [income, setIncome] = useState({});
+    const [netProfit, setNetProfit] = useState(0);
+    const [roi, setRoi] = useState(0);
+
+    useEffect(() => {
+        calculateIncome();
+    }, [plantings, plants, forestAge]);
+
+    useEffect(() => {
+        calculateNetProfit();
+    }, [income, setupCosts, annualCosts, forestAge]);
+
+    const calculateIncome = () => {
+        const newIncome = {};
+        // Plants without a pollinator (and male plants) bear nothing
+        plantings.filter(planting => planting.fruits).forEach(({ plant }) => {
+            const dbPlant = plants.find(p => p.id === plant.id);
+            if (dbPlant) {
+                const annualYield = dbPlant.yieldPerYear * getYieldFactor(dbPlant, forestAge);
+                const plantIncome = annualYield * dbPlant.marketPrice;
+                newIncome[dbPlant.name] = (newIncome[dbPlant.name] || 0) + plantIncome;
+            }
+        });
+        setIncome(newIncome);
+    };
+
+    const calculateNetProfit = () => {
+        const totalIncome = Object.values(income).reduce((sum, val) => sum + val, 0);
+        const totalSetupCosts = Object.values(setupCosts).reduce((sum, val) => sum + val, 0);
+        const totalAnnualCosts = Object.values(annualCosts).reduce((sum, val) => sum + val, 0);
+        const profit = totalIncome - totalAnnualCosts;
+        const newNetProfit = profit * forestAge - totalSetupCosts;
+        setNetProfit(newNetProfit);
+
+        const totalCosts = totalSetupCosts + totalAnnualCosts * forestAge;
+        const newRoi = totalCosts > 0 ? (newNetProfit / totalCosts) * 100 : 0;
+        setRoi(newRoi);
+    };
+
+    const handleSetupCostChange = (key, value) => {
+        setSetupCosts(prev => ({ ...prev, [key]: Number(value) }));
+    };
+
+    const handleAnnualCostChange = (key, value) => {
+        setAnnualCosts(prev => ({ ...prev, [key]: Number(value) }));
+    };
+
+    return (
+        <div className="economic-analysis-tool">
+            <h2>Economic Analysis</h2>
+            
+            <div className="cost-inputs">
+                <h3>Setup Costs</h3>
+                {Object.entries(setupCosts).map(([key, value]) => (
+                    <div key={key}>
+                        <label>{key.charAt(0).toUpperCase() + key.slice(1)}:</label>
+                        <input
+                            type="number"
+                            value={value}
+                            onChange={(e) => handleSetupCostChange(key, e.target.value)}
+                        />
+                    </div>
+                ))}
+
+                <h3>Annual Costs</h3>
+                {Object.entries(annualCosts).map(([key, value]) => (
+                    <div key={key}>
+                        <label>{key.charAt(0).toUpperCase() + key.slice(1)}:</label>
+                        <input
+                            type="number"
+                            value={value}
+                            onChange={(e) => handleAnnualCostChange(key, e.target.value)}
+                        />
+                    </div>
+                ))}
+            </div>
+
+            <div className="income-summary">
+                <h3>Estimated Annual Income</h3>
+                <ul>
+                    {Object.entries(income).map(([plant, value]) => (
+                        <li key={plant}>{plant}: ${value.toFixed(2)}</li>
+                    ))}
+                </ul>
+                <p>Total Annual Income: ${Object.values(income).reduce((sum, val) => sum + val, 0).toFixed(2)}</p>
+            </div>
+
+            <div className="profit-summary">
+                <h3>Profit Analysis (over {forestAge} years)</h3>
+                <p>Net Profit: ${netProfit.toFixed(2)}</p>
+                <p>Return on Investment (ROI): {roi.toFixed(2)}%</p>
+            </div>
+        </div>
+    );
+};
+
+const GRAPH_WIDTH = 800;
+const GRAPH_HEIGHT = 600;
+const GRAPH_LAYERS = ['Canopy', 'Sub-canopy', 'Shrub', 'Herbaceous', 'Ground Cover', 'Vine', 'Root'];
+const EXTERNAL_NODE_COLOR = '#bdc3c7';
+
+const CompanionGraphExplorer = ({ plants, gridState, climate, onSelectPlant }) => {
+    const [graphClimate, setGraphClimate] = useState(climate);
+    const [includeExternal, setIncludeExternal] = useState(false);
+    const [layout, setLayout] = useState({ graph: { nodes: [], edges: [] }, positions: {} });
+    const [focus, setFocus] = useState(null);
+
+    useEffect(() => {
+        const graph = buildCompanionGraph(plants, { climate: graphClimate, includeExternal });
+        setLayout({ graph, positions: layoutCompanionGraph(graph, GRAPH_WIDTH, GRAPH_HEIGHT) });
+        setFocus(null);
+    }, [plants, graphClimate, includeExternal]);
+
+    const { graph, positions } = layout;
+    const placed = new Set(Object.values(gridState).flat().map(plant => plant.name));
+    const focusGroup = focus ? new Set([focus, ...getNeighbours(graph, focus)]) : null;
+    const isDimmed = (id) => focusGroup !== null && !focusGroup.has(id);
+
+    return (
+        <div className="companion-graph">
+            <div className="companion-graph-controls">
+                <label htmlFor="graph-climate">Climate:</label>
+                <select id="graph-climate" value={graphClimate} onChange={(e) => setGraphClimate(e.target.value)}>
+                    <option value="All">All Climates</option>
+                    <option value="Tropical">Tropical</option>
+                    <option value="Subtropical">Subtropical</option>
+                    <option value="Temperate">Temperate</option>
+                </select>
+                <label>
+                    <input type="checkbox" checked={includeExternal} onChange={(e) => setIncludeExternal(e.target.checked)} />
+                    Include companions without a plant record
+                </label>
+            </div>
+            <svg viewBox={`0 0 ${GRAPH_WIDTH} ${GRAPH_HEIGHT}`} className="companion-graph-canvas">
+                {graph.edges.map(edge => (
+                    <line
+                        key={edge.id}
+                        className={`graph-edge ${edge.relation}${isDimmed(edge.source) || isDimmed(edge.target) ? ' dimmed' : ''}`}
+                        x1={positions[edge.source].x}
+                        y1={positions[edge.source].y}
+                        x2={positions[edge.target].x}
+                        y2={positions[edge.target].y}
+                    />
+                ))}
+                {graph.nodes.map(node => {
+                    const { x, y } = positions[node.id];
+                    const isPlaced = placed.has(node.id);
+                    return (
+                        <g
+                            key={node.id}
+                            className={`graph-node${node.plant ? ' selectable' : ''}${isDimmed(node.id) ? ' dimmed' : ''}`}
+                            transform={`translate(${x}, ${y})`}
+                            onMouseEnter={() => setFocus(node.id)}
+                            onMouseLeave={() => setFocus(null)}
+                            onClick={() => node.plant && onSelectPlant(node.plant)}
+                        >
+                            <title>{node.plant ? `${node.id} (${node.plant.layer})` : `${node.id} (no plant record)`}</title>
+                            <circle
+                                r={isPlaced ? 10 : 7}
+                                fill={node.plant ? getPlantRepresentation(node.plant).color : EXTERNAL_NODE_COLOR}
+                                className={isPlaced ? 'placed' : ''}
+                            />
+                            <text y={-12}>{node.id}</text>
+                        </g>
+                    );
+                })}
+            </svg>
+            <div className="companion-graph-legend">
+                {GRAPH_LAYERS.map(layer => (
+                    <span key={layer}>
+                        <span className="swatch" style={{ backgroundColor: getPlantRepresentation({ layer }).color }} />
+                        {layer}
+                    </span>
+                ))}
+                <span><span className="swatch placed" /> Already placed</span>
+                <span><span className="line beneficial" /> Beneficial</span>
+                <span><span className="line harmful" /> Harmful</span>
+            </div>
+        </div>
+    );
+};
+
+const PLAYBACK_STEP_MS = 700;
+
+const GrowthTimeline = ({ projection, removals, forestAge, playing, onPlay, onPause }) => {
+    const current = projection[forestAge - 1];
+    return (
+        <div className="growth-timeline">
+            <button onClick={playing ? onPause : onPlay}>{playing ? 'Pause' : 'Play Time-lapse'}</button>
+            {current && (
+                <span className="timeline-year">
+                    Year {forestAge}: {current.plants} plants standing, score {current.total}, crops worth ${current.income.toLocaleString()}
+                </span>
+            )}
+            <ResponsiveContainer width="100%" height={250}>
+                <LineChart data={projection}>
+                    <XAxis dataKey="year" />
+                    <YAxis yAxisId="score" />
+                    <YAxis yAxisId="income" orientation="right" />
+                    <Tooltip labelFormatter={(year) => `Year ${year}`} />
+                    <Legend />
+                    <ReferenceLine yAxisId="score" x={forestAge} stroke="#7f8c8d" />
+                    <Line yAxisId="score" dataKey="total" name="Total Score" stroke="#2c3e50" dot={false} />
+                    <Line yAxisId="score" dataKey="biodiversity" name="Biodiversity" stroke="#27ae60" dot={false} />
+                    <Line yAxisId="score" dataKey="vertical" name="Vertical" stroke="#8e44ad" dot={false} />
+                    <Line yAxisId="income" dataKey="income" name="Crop Value ($/yr)" stroke="#e67e22" dot={false} />
+                </LineChart>
+            </ResponsiveContainer>
+            {removals.length > 0 && (
+                <>
+                    <h4>Plants Lost Over Time</h4>
+                    <ul>
+                        {removals.map(({ year, name, count, pioneer }) => (
+                            <li key={`${year}-${name}`} className={year <= forestAge ? 'gone' : ''}>
+                                Year {year}: {name}{count > 1 ? ` (${count})` : ''}
+                                {pioneer ? ', a pioneer cleared as the trees close over' : ', at the end of its life'}
+                            </li>
+                        ))}
+                    </ul>
+                </>
+            )}
+        </div>
+    );
+};
+
+// Keeps partial input locally and reports only complete "MM-DD" dates
+const FrostDateInput = ({ id, value, onChange }) => {
+    const [text, setText] = useState(value);
+
+    useEffect(() => {
+        setText(value);
+    }, [value]);
+
+    return (
+        <input
+            id={id}
+            type="text"
+            className={isFrostDate(text) ? 'frost-date' : 'frost-date invalid'}
+            placeholder="MM-DD"
+            value={text}
+            onChange={(e) => {
+                setText(e.target.value);
+                if (isFrostDate(e.target.value)) onChange(e.target.value);
+            }}
+            onBlur={() => setText(value)}
+        />
+    );
+};
+
+const PlantSearchPanel = ({ filters, onChange, facetCounts, resultCount, totalCount }) => {
+    const [expanded, setExpanded] = useState(false);
+    const [presets, setPresets] = useState(loadSearchPresets());
+    const [presetName, setPresetName] = useState('');
+
+    const toggleFacetValue = (field, value) => {
+        const selected = filters.facets[field];
+        const next = selected.includes(value) ? selected.filter(v => v !== value) : [...selected, value];
+        onChange({ ...filters, facets: { ...filters.facets, [field]: next } });
+    };
+
+    const setRangeBound = (field, bound, text) => {
+        const value = text.trim() === '' ? null : Number(text);
+        if (value !== null && !Number.isFinite(value)) return;
+        onChange({ ...filters, ranges: { ...filters.ranges, [field]: { ...filters.ranges[field], [bound]: value } } });
+    };
+
+    const handleSavePreset = () => {
+        const name = presetName.trim() || `Search ${Object.keys(presets).length + 1}`;
+        if (presets[name] && !window.confirm(`Replace the saved search "${name}"?`)) return;
+        setPresets(saveSearchPreset(name, filters));
+        setPresetName('');
+    };
+
+    const activeCount = countActiveFilters(filters);
+
+    return (
+        <div className="plant-search">
+            <label htmlFor="plant-sort">Sort by:</label>
+            <select id="plant-sort" value={filters.sort} onChange={(e) => onChange({ ...filters, sort: e.target.value })}>
+                {Object.entries(SORTS).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+            </select>
+            <button onClick={() => setExpanded(!expanded)}>
+                {expanded ? 'Hide Filters' : 'More Filters'}{activeCount > 0 ? ` (${activeCount})` : ''}
+            </button>
+            <button onClick={() => onChange(createPlantFilters())} disabled={activeCount === 0}>Clear Filters</button>
+            <span className="plant-search-count">{resultCount} of {totalCount} plants</span>
+            {Object.keys(presets).length > 0 && (
+                <div className="search-presets">
+                    Saved searches:
+                    {Object.keys(presets).sort().map(name => (
+                        <span key={name} className="search-preset">
+                            <button onClick={() => onChange(presets[name])}>{name}</button>
+                            <span className="close" title="Delete saved search" onClick={() => setPresets(deleteSearchPreset(name))}>&times;</span>
+                        </span>
+                    ))}
+                </div>
+            )}
+            {expanded && (
+                <div className="plant-filters">
+                    {FACETS.map(({ field, label }) => (
+                        <fieldset key={field} className="facet">
+                            <legend>{label}</legend>
+                            {facetCounts[field].map(({ value, count }) => (
+                                <label key={value} className={count === 0 ? 'empty' : ''}>
+                                    <input
+                                        type="checkbox"
+                                        checked={filters.facets[field].includes(value)}
+                                        onChange={() => toggleFacetValue(field, value)}
+                                    />
+                                    {value} ({count})
+                                </label>
+                            ))}
+                        </fieldset>
+                    ))}
+                    <fieldset className="facet">
+                        <legend>Ranges</legend>
+                        {RANGES.map(({ field, label }) => (
+                            <div key={field} className="range-filter">
+                                {label}
+                                <input
+                                    type="number"
+                                    placeholder="min"
+                                    value={filters.ranges[field].min === null ? '' : filters.ranges[field].min}
+                                    onChange={(e) => setRangeBound(field, 'min', e.target.value)}
+                                />
+                                &ndash;
+                                <input
+                                    type="number"
+                                    placeholder="max"
+                                    value={filters.ranges[field].max === null ? '' : filters.ranges[field].max}
+                                    onChange={(e) => setRangeBound(field, 'max', e.target.value)}
+                                />
+                            </div>
+                        ))}
+                    </fieldset>
+                    <div className="search-preset-save">
+                        <input
+                            type="text"
+                            placeholder="Name this search"
+                            value={presetName}
+                            onChange={(e) => setPresetName(e.target.value)}
+                        />
+                        <button onClick={handleSavePreset}>Save Search</button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+// Shown next to each plant for the figure the list is sorted by
+const describeSortValue = (plant, sort) => {
+    if (sort === 'yield') return `${plant.yieldPerYear} ${plant.unit}/yr`;
+    if (sort === 'value') return `$${getValuePerCell(plant).toFixed(2)}/cell`;
+    if (sort === 'maturity') return `${plant.maturityAge} yrs`;
+    return null;
+};
+
+const GuildLibrary = ({ guilds, plants, selectedGuildId, onSelect, onDelete }) => (
+    <div className="guild-library">
+        <h4>Guilds</h4>
+        {guilds.length === 0 && <p>No guilds yet. Use Save Guild to keep an arrangement from the grid.</p>}
+        <ul>
+            {guilds.map(guild => (
+                <li
+                    key={guild.id}
+                    className={guild.id === selectedGuildId ? 'selected' : ''}
+                    onClick={() => onSelect(guild.id)}
+                >
+                    <span className="guild-name">{guild.name}</span>
+                    <span className="guild-members">
+                        {countGuildPlants(guild)} plants: {describeGuild(guild, plants).join(', ')}
+                    </span>
+                    {!guild.builtin && (
+                        <button
+                            onClick={(e) => {
+                                e.stopPropagation();
+                                onDelete(guild);
+                            }}
+                        >
+                            Delete
+                        </button>
+                    )}
+                </li>
+            ))}
+        </ul>
+    </div>
+);
+
+const AutoDesignPanel = ({ plants, defaultBudget, currentScores, progress, proposal, onStart, onStop, onAccept, onDiscard }) => {
+    const [weights, setWeights] = useState(DEFAULT_WEIGHTS);
+    const [mustInclude, setMustInclude] = useState([]);
+    const [budget, setBudget] = useState(defaultBudget);
+    const [layers, setLayers] = useState([]);
+    const [iterations, setIterations] = useState(DEFAULT_ITERATIONS);
+    const [startFrom, setStartFrom] = useState('current');
+
+    const start = (refine) => {
+        onStart({
+            weights,
+            constraints: { mustInclude, budget, layers },
+            iterations,
+            startFrom: refine ? 'proposal' : startFrom
+        });
+    };
+
+    const toggleLayer = (layer) => {
+        setLayers(layers.includes(layer) ? layers.filter(l => l !== layer) : [...layers, layer]);
+    };
+
+    const running = progress !== null;
+
+    return (
+        <div className="auto-design">
+            <h3>Auto-Design</h3>
+            <fieldset>
+                <legend>Objective Weights</legend>
+                {SCORE_KEYS.map(key => (
+                    <label key={key}>
+                        {key.charAt(0).toUpperCase() + key.slice(1)}:
+                        <input
+                            type="number"
+                            min="0"
+                            step="0.1"
+                            value={weights[key]}
+                            onChange={(e) => setWeights({ ...weights, [key]: Math.max(0, Number(e.target.value)) })}
+                        />
+                    </label>
+                ))}
+            </fieldset>
+            <fieldset>
+                <legend>Preferred Layers (none ticked allows all)</legend>
+                {LAYERS.map(layer => (
+                    <label key={layer}>
+                        <input type="checkbox" checked={layers.includes(layer)} onChange={() => toggleLayer(layer)} />
+                        {layer}
+                    </label>
+                ))}
+            </fieldset>
+            <fieldset>
+                <legend>Must Include</legend>
+                <select
+                    value=""
+                    onChange={(e) => e.target.value && setMustInclude([...mustInclude, Number(e.target.value)])}
+                >
+                    <option value="">Add a plant...</option>
+                    {plants.filter(plant => !mustInclude.includes(plant.id)).map(plant => (
+                        <option key={plant.id} value={plant.id}>{plant.name}</option>
+                    ))}
+                </select>
+                {mustInclude.map(id => {
+                    const plant = plants.find(p => p.id === id);
+                    return (
+                        <span key={id} className="must-include">
+                            {plant ? plant.name : `Plant ${id}`}
+                            <span className="close" title="Remove" onClick={() => setMustInclude(mustInclude.filter(other => other !== id))}>&times;</span>
+                        </span>
+                    );
+                })}
+            </fieldset>
+            <label>
+                Plant budget (maximum number of plants):
+                <input type="number" min="0" value={budget} onChange={(e) => setBudget(Math.max(0, Math.floor(Number(e.target.value))))} />
+            </label>
+            <label>
+                Search steps:
+                <input
+                    type="number"
+                    min="100"
+                    max={MAX_ITERATIONS}
+                    step="100"
+                    value={iterations}
+                    onChange={(e) => setIterations(Math.min(MAX_ITERATIONS, Math.max(100, Math.floor(Number(e.target.value)))))}
+                />
+            </label>
+            <label>
+                Start from:
+                <select value={startFrom} onChange={(e) => setStartFrom(e.target.value)}>
+                    <option value="current">Current design</option>
+                    <option value="empty">Empty grid</option>
+                </select>
+            </label>
+            <div>
+                <button onClick={() => start(false)} disabled={running}>Generate Layout</button>
+                {running && <button onClick={onStop}>Stop</button>}
+            </div>
+            {running && (
+                <div className="auto-design-progress">
+                    <progress value={progress.iteration} max={progress.iterations} />
+                    {progress.objective !== null && ` Best so far: ${Math.round(progress.objective)}`}
+                </div>
+            )}
+            {proposal && !running && (
+                <div className="auto-design-result">
+                    <p>The proposed layout is shown on the grid.</p>
+                    <table>
+                        <thead>
+                            <tr><th></th><th>Current</th><th>Proposed</th></tr>
+                        </thead>
+                        <tbody>
+                            {[...SCORE_KEYS, 'total'].map(key => (
+                                <tr key={key}>
+                                    <td>{key.charAt(0).toUpperCase() + key.slice(1)}</td>
+                                    <td>{currentScores[key]}</td>
+                                    <td>{proposal.scores[key]}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    {proposal.missing.length > 0 && (
+                        <p className="auto-design-missing">No legal place was found for: {proposal.missing.map(plant => plant.name).join(', ')}.</p>
+                    )}
+                    {proposal.overBudget.length > 0 && (
+                        <p className="auto-design-missing">
+                            The plant budget was reached before placing: {proposal.overBudget.map(plant => plant.name).join(', ')}.
+                        </p>
+                    )}
+                    <button onClick={onAccept}>Accept</button>
+                    <button onClick={() => start(true)}>Refine</button>
+                    <button onClick={onDiscard}>Discard</button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+const RECOMMENDATIONS_SHOWN = 8;
+
+const CellRecommendations = ({ cell, pinned, plantsInCell, recommendations, onPlace, onClear }) => (
+    <div className="cell-recommendations">
+        <h4>Best Plants for ({cell.x},{cell.y})</h4>
+        <p>
+            {plantsInCell.length > 0 ? `Already growing: ${plantsInCell.map(plant => plant.name).join(', ')}.` : 'Empty cell.'}
+            {pinned ? <button onClick={onClear}>Clear Selection</button> : ' Click the cell to keep these suggestions.'}
+        </p>
+        {recommendations.length === 0 && <p>No suitable plant fits here.</p>}
+        <ul>
+            {recommendations.slice(0, RECOMMENDATIONS_SHOWN).map(({ plant, score, factors, reasons }) => (
+                <li key={plant.id} title={reasons.join(' ')}>
+                    <span className="recommendation-score">{score}</span>
+                    {plant.name} ({plant.layer})
+                    <span className="recommendation-factors">
+                        {Object.keys(FACTOR_WEIGHTS).map(factor => `${factor} ${Math.round(factors[factor] * 100)}%`).join(', ')}
+                    </span>
+                    <button onClick={() => onPlace(plant)}>Place</button>
+                </li>
+            ))}
+        </ul>
+    </div>
+);
+
+// The preset the model matches, if any
+const findScoringPreset = (model) => {
+    const text = JSON.stringify(model);
+    return Object.keys(SCORING_PRESETS).find(key => JSON.stringify(SCORING_PRESETS[key].model) === text) || 'custom';
+};
+
+const ScoreBreakdown = ({ model, onChange, breakdown }) => {
+    const [configuring, setConfiguring] = useState(false);
+    const preset = findScoringPreset(model);
+
+    const setRuleValue = (ruleId, key, text) => {
+        onChange({ ...model, [ruleId]: { ...model[ruleId], [key]: Math.max(0, Number(text)) } });
+    };
+
+    return (
+        <div className="score-breakdown">
+            <h4>Score Breakdown</h4>
+            <label htmlFor="scoring-preset">Scoring goal:</label>
+            <select
+                id="scoring-preset"
+                value={preset}
+                onChange={(e) => e.target.value !== 'custom' && onChange(SCORING_PRESETS[e.target.value].model)}
+            >
+                {Object.entries(SCORING_PRESETS).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+                {preset === 'custom' && <option value="custom">Custom</option>}
+            </select>
+            <button onClick={() => setConfiguring(!configuring)}>{configuring ? 'Done' : 'Configure Rules'}</button>
+            {preset !== 'custom' && <p className="scoring-preset-description">{SCORING_PRESETS[preset].description}</p>}
+            {SCORE_KEYS.map(category => {
+                const rules = breakdown.filter(rule => rule.category === category);
+                return (
+                    <div key={category} className="score-category">
+                        <h5>
+                            {category.charAt(0).toUpperCase() + category.slice(1)}:
+                            {' '}{rules.reduce((sum, rule) => sum + rule.points, 0)}
+                        </h5>
+                        <ul>
+                            {rules.map(rule => (
+                                <li key={rule.id} className={rule.points < 0 ? 'lost' : ''}>
+                                    <span className="rule-points">{rule.points > 0 ? `+${rule.points}` : rule.points}</span>
+                                    {rule.label}: {rule.details.join(' ')}
+                                    {configuring && (
+                                        <div className="rule-settings">
+                                            <label>
+                                                Weight
+                                                <input
+                                                    type="number"
+                                                    min="0"
+                                                    step="0.1"
+                                                    value={model[rule.id].weight}
+                                                    onChange={(e) => setRuleValue(rule.id, 'weight', e.target.value)}
+                                                />
+                                            </label>
+                                            {SCORING_RULES.find(r => r.id === rule.id).parameters.map(parameter => (
+                                                <label key={parameter.key}>
+                                                    {parameter.label}
+                                                    <input
+                                                        type="number"
+                                                        min="0"
+                                                        value={model[rule.id][parameter.key]}
+                                                        onChange={(e) => setRuleValue(rule.id, parameter.key, e.target.value)}
+                                                    />
+                                                </label>
+                                            ))}
+                                        </div>
+                                    )}
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                );
+            })}
+        </div>
+    );
+};
+
+const ImportReport = ({ report, onDismiss }) => {
+    if (!report) return null;
+    return (
+        <div className="import-report">
+            <span className="close" onClick={onDismiss}>&times;</span>
+            <h4>{report.title}</h4>
+            {report.errors.length > 0 && (
+                <div className="incompatible-pairs">
+                    <p>The file could not be used:</p>
+                    <ul>
+                        {report.errors.map((error, index) => (
+                            <li key={index}>{error}</li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+            {report.warnings.length > 0 && (
+                <ul>
+                    {report.warnings.map((warning, index) => (
+                        <li key={index}>{warning}</li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+const TEXT_FIELDS = [
+    ['name', 'Name'],
+    ['scientificName', 'Scientific Name'],
+    ['family', 'Family'],
+    ['symbol', 'Symbol'],
+    ['unit', 'Yield Unit'],
+    ['sunlight', 'Sunlight'],
+    ['water', 'Water'],
+    ['soil', 'Soil'],
+    ['growthHabit', 'Growth Habit'],
+    ['image', 'Image URL']
+];
+
+const NUMBER_FIELDS = [
+    ['yieldPerYear', 'Yield per Year'],
+    ['marketPrice', 'Market Price (per unit)'],
+    ['maturityAge', 'Maturity Age (years)'],
+    ['lifespan', 'Lifespan (years)'],
+    ['matureSpread', 'Mature Spread (ft)'],
+    ['matureHeight', 'Mature Height (ft)'],
+    ['hardinessZoneMin', 'Coldest USDA Zone (7.5 = 7b)'],
+    ['hardinessZoneMax', 'Warmest USDA Zone'],
+    ['chillHours', 'Chill Hours Needed'],
+    ['growingSeasonDays', 'Frost-free Days Needed']
+];
+
+const splitList = (text) => text.split(',').map(item => item.trim()).filter(Boolean);
+
+// Lists are edited as comma-separated text and numbers as input strings until saved
+const toDraft = (plant) => ({
+    ...plant,
+    ...Object.fromEntries(NUMBER_FIELDS.map(([field]) => [field, String(plant[field])])),
+    uses: plant.uses.join(', '),
+    companions: plant.companions.join(', '),
+    antagonists: (plant.antagonists || []).map(antagonist => ({ ...antagonist }))
+});
+
+const fromDraft = (draft) => ({
+    ...draft,
+    ...Object.fromEntries(NUMBER_FIELDS.map(([field]) => [field, draft[field].trim() === '' ? NaN : Number(draft[field])])),
+    name: draft.name.trim(),
+    uses: splitList(draft.uses),
+    companions: splitList(draft.companions),
+    antagonists: draft.antagonists.map(antagonist => ({ ...antagonist, name: antagonist.name.trim(), reason: antagonist.reason.trim() }))
+});
+
+const PlantEditor = ({ plant, title, plants, onSave, onCancel }) => {
+    const [draft, setDraft] = useState(toDraft(plant));
+    const [errors, setErrors] = useState([]);
+
+    const setField = (field, value) => setDraft(prev => ({ ...prev, [field]: value }));
+
+    const setAntagonist = (index, field, value) => {
+        setDraft(prev => ({
+            ...prev,
+            antagonists: prev.antagonists.map((antagonist, i) => (i === index ? { ...antagonist, [field]: value } : antagonist))
+        }));
+    };
+
+    const handleSubmit = (event) => {
+        event.preventDefault();
+        const record = fromDraft(draft);
+        const validationErrors = validatePlantInDatabase(record, plants);
+        setErrors(validationErrors);
+        if (validationErrors.length === 0) {
+            onSave(record);
+        }
+    };
+
+    return (
+        <form className="plant-editor" onSubmit={handleSubmit}>
+            <h4>{title}</h4>
+            <div className="plant-editor-fields">
+                {TEXT_FIELDS.map(([field, label]) => (
+                    <label key={field}>
+                        {label}
+                        <input type="text" value={draft[field]} onChange={(e) => setField(field, e.target.value)} />
+                    </label>
+                ))}
+                <label>
+                    Layer
+                    <select value={draft.layer} onChange={(e) => setField('layer', e.target.value)}>
+                        {LAYERS.map(layer => <option key={layer} value={layer}>{layer}</option>)}
+                    </select>
+                </label>
+                <label>
+                    Climate
+                    <select value={draft.climate} onChange={(e) => setField('climate', e.target.value)}>
+                        {CLIMATES.map(climate => <option key={climate} value={climate}>{climate}</option>)}
+                    </select>
+                </label>
+                <label>
+                    Pollination
+                    <select value={draft.pollination} onChange={(e) => setField('pollination', e.target.value)}>
+                        {POLLINATION_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+                    </select>
+                </label>
+                {NUMBER_FIELDS.map(([field, label]) => (
+                    <label key={field}>
+                        {label}
+                        <input type="number" min="0" step="any" value={draft[field]} onChange={(e) => setField(field, e.target.value)} />
+                    </label>
+                ))}
+                <label className="wide">
+                    Uses (comma separated)
+                    <input type="text" value={draft.uses} onChange={(e) => setField('uses', e.target.value)} />
+                </label>
+                <fieldset className="wide plant-editor-roles">
+                    <legend>Ecological Roles</legend>
+                    {ECOLOGICAL_ROLES.map(role => (
+                        <label key={role}>
+                            <input
+                                type="checkbox"
+                                checked={draft.ecologicalRoles.includes(role)}
+                                onChange={(e) => setField('ecologicalRoles', e.target.checked
+                                    ? ECOLOGICAL_ROLES.filter(r => r === role || draft.ecologicalRoles.includes(r))
+                                    : draft.ecologicalRoles.filter(r => r !== role))}
+                            />
+                            {role}
+                        </label>
+                    ))}
+                </fieldset>
+                <label className="wide">
+                    Companions (comma separated)
+                    <input type="text" value={draft.companions} onChange={(e) => setField('companions', e.target.value)} />
+                </label>
+                <label className="wide">
+                    Description
+                    <textarea value={draft.description} onChange={(e) => setField('description', e.target.value)} />
+                </label>
+            </div>
+            <div className="plant-editor-antagonists">
+                <h5>Antagonists</h5>
+                {draft.antagonists.map((antagonist, index) => (
+                    <div key={index} className="antagonist-row">
+                        <select value={antagonist.name} onChange={(e) => setAntagonist(index, 'name', e.target.value)}>
+                            <option value="">Choose a plant...</option>
+                            {plants.filter(p => p.id !== draft.id).map(p => <option key={p.id} value={p.name}>{p.name}</option>)}
+                        </select>
+                        <input
+                            type="text"
+                            placeholder="Reason, e.g. juglone"
+                            value={antagonist.reason}
+                            onChange={(e) => setAntagonist(index, 'reason', e.target.value)}
+                        />
+                        <select value={antagonist.severity} onChange={(e) => setAntagonist(index, 'severity', e.target.value)}>
+                            {SEVERITIES.map(severity => <option key={severity} value={severity}>{severity}</option>)}
+                        </select>
+                        <button type="button" onClick={() => setField('antagonists', draft.antagonists.filter((_, i) => i !== index))}>Remove</button>
+                    </div>
+                ))}
+                <button
+                    type="button"
+                    onClick={() => setField('antagonists', [...draft.antagonists, { name: '', reason: '', severity: 'medium' }])}
+                >
+                    Add Antagonist
+                </button>
+            </div>
+            {errors.length > 0 && (
+                <ul className="plant-editor-errors">
+                    {errors.map((error, index) => <li key={index}>{error.charAt(0).toUpperCase() + error.slice(1)}</li>)}
+                </ul>
+            )}
+            <button type="submit">Save Plant</button>
+            <button type="button" onClick={onCancel}>Cancel</button>
+        </form>
+    );
+};
+
+const PREVIEW_ROWS = 50;
+
+const downloadText = (fileName, text, type) => {
+    const blob = new Blob([text], { type });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    link.click();
+};
+
+const describeCatalogEntry = (entry) => {
+    if (entry.action === 'error') return entry.errors.join(' ');
+    if (entry.action === 'skip') return `Skipped, same ${entry.duplicate.match} as "${entry.duplicate.plant.name}"`;
+    if (entry.action === 'update') return `Updates "${entry.duplicate.plant.name}" (same ${entry.duplicate.match})`;
+    return 'New plant';
+};
+
+const PlantCatalogImport = ({ plants, onImport }) => {
+    const [catalog, setCatalog] = useState(null);
+    const [mapping, setMapping] = useState({});
+    const [duplicates, setDuplicates] = useState('skip');
+    const [entries, setEntries] = useState([]);
+    const fileInputRef = useRef(null);
+
+    useEffect(() => {
+        setEntries(catalog && catalog.errors.length === 0
+            ? previewPlantCatalog(catalog.rows, mapping, plants, { duplicates, isCSV: catalog.format === 'csv' })
+            : []);
+    }, [catalog, mapping, duplicates, plants]);
+
+    const handleFile = (event) => {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+            const parsed = parsePlantCatalog(reader.result, file.name);
+            setCatalog({ ...parsed, fileName: file.name });
+            setMapping(guessColumnMapping(parsed.columns));
+        };
+        reader.readAsText(file);
+    };
+
+    const handleImport = () => {
+        onImport(entries);
+        setCatalog(null);
+    };
+
+    const counts = entries.reduce((total, entry) => ({ ...total, [entry.action]: (total[entry.action] || 0) + 1 }), {});
+    const importable = (counts.add || 0) + (counts.update || 0);
+
+    return (
+        <div className="plant-catalog-import">
+            <button onClick={() => fileInputRef.current.click()}>Import Plant Catalogue (CSV/JSON)</button>
+            <input
+                ref={fileInputRef}
+                type="file"
+                accept=".csv,.json,text/csv,application/json"
+                style={{ display: 'none' }}
+                onChange={handleFile}
+            />
+            {catalog && (
+                <div className="catalog-preview">
+                    <h4>{catalog.fileName}: {catalog.rows.length} row{catalog.rows.length === 1 ? '' : 's'}</h4>
+                    <ImportReport
+                        report={catalog.errors.length > 0 ? { title: 'The catalogue could not be read', errors: catalog.errors, warnings: [] } : null}
+                        onDismiss={() => setCatalog(null)}
+                    />
+                    {catalog.errors.length === 0 && (
+                        <>
+                            <div className="catalog-mapping">
+                                {CATALOG_FIELDS.map(({ field }) => (
+                                    <label key={field}>
+                                        {field}
+                                        <select
+                                            value={mapping[field] || ''}
+                                            onChange={(e) => setMapping(prev => ({ ...prev, [field]: e.target.value }))}
+                                        >
+                                            <option value="">(not imported)</option>
+                                            {catalog.columns.map(column => <option key={column} value={column}>{column}</option>)}
+                                        </select>
+                                    </label>
+                                ))}
+                            </div>
+                            <label htmlFor="catalog-duplicates">Existing plants with the same name or scientific name:</label>
+                            <select id="catalog-duplicates" value={duplicates} onChange={(e) => setDuplicates(e.target.value)}>
+                                <option value="skip">Skip them</option>
+                                <option value="update">Update them with the catalogue values</option>
+                            </select>
+                            <p>
+                                {counts.add || 0} new, {counts.update || 0} updated, {counts.skip || 0} skipped, {counts.error || 0} with errors.
+                            </p>
+                            <table className="catalog-table">
+                                <thead>
+                                    <tr><th>Row</th><th>Name</th><th>Layer</th><th>Climate</th><th>Result</th></tr>
+                                </thead>
+                                <tbody>
+                                    {entries.slice(0, PREVIEW_ROWS).map(entry => (
+                                        <tr key={entry.rowNumber} className={entry.action}>
+                                            <td>{entry.rowNumber}</td>
+                                            <td>{entry.plant.name}</td>
+                                            <td>{entry.plant.layer}</td>
+                                            <td>{entry.plant.climate}</td>
+                                            <td>{describeCatalogEntry(entry)}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                            {entries.length > PREVIEW_ROWS && <p>Showing the first {PREVIEW_ROWS} of {entries.length} rows.</p>}
+                            <button onClick={handleImport} disabled={importable === 0}>Import {importable} Plant{importable === 1 ? '' : 's'}</button>
+                            <button onClick={() => setCatalog(null)}>Cancel</button>
+                        </>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+const PLANT_SOURCE_LABELS = {
+    builtin: 'Built-in',
+    override: 'Built-in, edited',
+    custom: 'Custom'
+};
+
+const PlantLibraryManager = ({ plants, library, selectedPlant, onSavePlant, onRemovePlant, onImportCatalog }) => {
+    const [editing, setEditing] = useState(null);
+
+    const startNew = () => {
+        setEditing({ title: 'New Plant', plant: createBlankPlant(nextCustomPlantId(plants)) });
+    };
+
+    const startClone = (plant) => {
+        setEditing({
+            title: `Clone of ${plant.name}`,
+            plant: { ...plant, id: nextCustomPlantId(plants), name: `${plant.name} (copy)` }
+        });
+    };
+
+    const startEdit = (plant) => {
+        setEditing({ title: `Edit ${plant.name}`, plant });
+    };
+
+    const handleSave = (plant) => {
+        onSavePlant(plant);
+        setEditing(null);
+    };
+
+    const libraryPlants = plants.filter(plant => getPlantSource(library, plant.id) !== 'builtin');
+
+    return (
+        <div className="plant-library">
+            <h3>Plant Library</h3>
+            <button onClick={startNew}>New Plant</button>
+            {selectedPlant && (
+                <>
+                    <button onClick={() => startEdit(selectedPlant)}>Edit {selectedPlant.name}</button>
+                    <button onClick={() => startClone(selectedPlant)}>Clone {selectedPlant.name}</button>
+                </>
+            )}
+            <button onClick={() => downloadText('food_forest_plants.csv', exportPlantsCSV(plants), 'text/csv;charset=utf-8')}>Export Plants as CSV</button>
+            <button onClick={() => downloadText('food_forest_plants.json', exportPlantsJSON(plants), 'application/json')}>Export Plants as JSON</button>
+            <PlantCatalogImport plants={plants} onImport={onImportCatalog} />
+            {editing && (
+                <PlantEditor
+                    key={editing.plant.id}
+                    plant={editing.plant}
+                    title={editing.title}
+                    plants={plants}
+                    onSave={handleSave}
+                    onCancel={() => setEditing(null)}
+                />
+            )}
+            {libraryPlants.length > 0 && (
+                <ul className="plant-library-list">
+                    {libraryPlants.map(plant => {
+                        const source = getPlantSource(library, plant.id);
+                        return (
+                            <li key={plant.id}>
+                                <span className="plant-library-name">{plant.symbol} {plant.name}</span>
+                                <span className="plant-library-source">{PLANT_SOURCE_LABELS[source]}</span>
+                                <button onClick={() => startEdit(plant)}>Edit</button>
+                                <button onClick={() => startClone(plant)}>Clone</button>
+                                <button onClick={() => onRemovePlant(plant)}>{source === 'custom' ? 'Delete' : 'Reset to Built-in'}</button>
+                            </li>
+                        );
+                    })}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+const ProjectManager = ({ currentProjectId, onSave, onLoad, onDelete, onExport, onImport, importReport, onDismissReport }) => {
+    const [projects, setProjects] = useState(listProjects());
+    const [projectName, setProjectName] = useState('');
+    const fileInputRef = useRef(null);
+
+    const refreshProjects = () => setProjects(listProjects());
+
+    useEffect(() => {
+        refreshProjects();
+    }, [currentProjectId]);
+
+    const currentProject = projects.find(p => p.id === currentProjectId);
+
+    const handleSaveAs = () => {
+        const name = projectName.trim() || `Food Forest ${projects.length + 1}`;
+        onSave(name, null);
+        setProjectName('');
+        refreshProjects();
+    };
+
+    const handleSave = () => {
+        onSave(currentProject.name, currentProject.id);
+        refreshProjects();
+    };
+
+    const handleImport = (event) => {
+        const file = event.target.files[0];
+        if (file) {
+            onImport(file);
+        }
+        event.target.value = '';
+    };
+
+    const handleRename = (project) => {
+        const name = window.prompt('Rename project', project.name);
+        if (name && name.trim()) {
+            renameProject(project.id, name.trim());
+            refreshProjects();
+        }
+    };
+
+    const handleDuplicate = (project) => {
+        duplicateProject(project.id);
+        refreshProjects();
+    };
+
+    const handleDelete = (project) => {
+        if (window.confirm(`Delete "${project.name}"? This cannot be undone.`)) {
+            deleteProject(project.id);
+            onDelete(project.id);
+            refreshProjects();
+        }
+    };
+
+    return (
+        <div className="project-manager">
+            <h3>Projects</h3>
+            <p>Current project: {currentProject ? currentProject.name : 'Unsaved design'}</p>
+            <div className="project-save">
+                <input
+                    type="text"
+                    placeholder="Project name..."
+                    value={projectName}
+                    onChange={(e) => setProjectName(e.target.value)}
+                />
+                <button onClick={handleSaveAs}>Save as New</button>
+                {currentProject && <button onClick={handleSave}>Save</button>}
+                <button onClick={() => onExport(currentProject ? currentProject.name : projectName.trim() || 'Untitled food forest')}>Export File</button>
+                <button onClick={() => fileInputRef.current.click()}>Import File</button>
+                <input
+                    ref={fileInputRef}
+                    type="file"
+                    accept={`${PROJECT_FILE_EXTENSION},.json,application/json`}
+                    style={{ display: 'none' }}
+                    onChange={handleImport}
+                />
+            </div>
+            <ImportReport report={importReport} onDismiss={onDismissReport} />
+            {projects.length > 0 && (
+                <ul className="project-list">
+                    {projects.map(project => (
+                        <li key={project.id} className={project.id === currentProjectId ? 'active' : ''}>
+                            <span className="project-name">{project.name}</span>
+                            <span className="project-date">{new Date(project.updatedAt).toLocaleString()}</span>
+                            <button onClick={() => onLoad(project.id)}>Load</button>
+                            <button onClick={() => handleDuplicate(project)}>Duplicate</button>
+                            <button onClick={() => handleRename(project)}>Rename</button>
+                            <button onClick={() => handleDelete(project)}>Delete</button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+const FoodForestPlanner = () => {
+    const [gridState, setGridState] = useState({});
+    const [plantLibrary, setPlantLibrary] = useState(loadPlantLibrary());
+    const [plants, setPlants] = useState(mergePlantLibrary(plantDatabase, plantLibrary));
+    const [selectedPlant, setSelectedPlant] = useState(null);
+    const [climate, setClimate] = useState('Tropical');
+    const [latitude, setLatitude] = useState(DEFAULT_LATITUDES['Tropical']);
+    const [orientation, setOrientation] = useState(0);
+    const [hardinessZone, setHardinessZone] = useState(CLIMATE_PRESETS.Tropical.hardinessZone);
+    const [lastFrost, setLastFrost] = useState(CLIMATE_PRESETS.Tropical.lastFrost);
+    const [firstFrost, setFirstFrost] = useState(CLIMATE_PRESETS.Tropical.firstFrost);
+    const [chillHours, setChillHours] = useState(CLIMATE_PRESETS.Tropical.chillHours);
+    const [showShadeMap, setShowShadeMap] = useState(false);
+    const [shadeMap, setShadeMap] = useState(null);
+    const [lightIssues, setLightIssues] = useState([]);
+    const [ecologicalReport, setEcologicalReport] = useState({ roles: [], trees: [] });
+    const [pollinationDistance, setPollinationDistance] = useState(DEFAULT_POLLINATION_DISTANCE);
+    const [pollination, setPollination] = useState({ plantings: [], issues: [] });
+    const [plantingSex, setPlantingSex] = useState('female');
+    const [builtinGuilds, setBuiltinGuilds] = useState([]);
+    const [customGuilds, setCustomGuilds] = useState(loadGuilds());
+    const [selectedGuildId, setSelectedGuildId] = useState(null);
+    const [guildCorner, setGuildCorner] = useState(null);
+    const [layoutProgress, setLayoutProgress] = useState(null);
+    const [layoutProposal, setLayoutProposal] = useState(null);
+    const layoutWorkerRef = useRef(null);
+    const [suggestCell, setSuggestCell] = useState(null);
+    const [hoveredCell, setHoveredCell] = useState(null);
+    const [cellRecommendations, setCellRecommendations] = useState([]);
+    const [forestAge, setForestAge] = useState(1);
+    const [showTimeline, setShowTimeline] = useState(false);
+    const [timelinePlaying, setTimelinePlaying] = useState(false);
+    const [timelineProjection, setTimelineProjection] = useState([]);
+    const [plantFilters, setPlantFilters] = useState(createPlantFilters());
+    const [score, setScore] = useState(0);
+    const [profit, setProfit] = useState(0);
+    const [biodiversityScore, setBiodiversityScore] = useState(0);
+    const [yieldScore, setYieldScore] = useState(0);
+    const [verticalScore, setVerticalScore] = useState(0);
+    const [scoringModel, setScoringModel] = useState(loadScoringModel());
+    const [scoreBreakdown, setScoreBreakdown] = useState([]);
+    const [biodiversityTrend, setBiodiversityTrend] = useState([]);
+    const [currentTool, setCurrentTool] = useState('plant');
+    const [showModal, setShowModal] = useState(false);
+    const [modalPlant, setModalPlant] = useState(null);
+    const [propertySize, setPropertySize] = useState(1);
+    const [gridDimensions, setGridDimensions] = useState({ width: 21, height: 21 });
+    const [excludedCells, setExcludedCells] = useState({});
+    const [boundary, setBoundary] = useState([]);
+    const [draftBoundary, setDraftBoundary] = useState([]);
+    const [placementMessage, setPlacementMessage] = useState(null);
+    const canvasRef = useRef(null);
+    const [sizeMode, setSizeMode] = useState('acre');
+    const [customLength, setCustomLength] = useState(0);
+    const [customWidth, setCustomWidth] = useState(0);
+    const [companionSuggestions, setCompanionSuggestions] = useState([]);
+    const [compatibilityAnalysis, setCompatibilityAnalysis] = useState({ pairs: [], locations: {}, totals: { beneficial: 0, harmful: 0, neutral: 0 } });
+    const [companionRadius, setCompanionRadius] = useState(DEFAULT_COMPANION_RADIUS);
+    const [showCompanionHighlights, setShowCompanionHighlights] = useState(true);
+    const [showCompanionGraph, setShowCompanionGraph] = useState(false);
+    const [setupCosts, setSetupCosts] = useState(DEFAULT_SETUP_COSTS);
+    const [annualCosts, setAnnualCosts] = useState(DEFAULT_ANNUAL_COSTS);
+    const [currentProjectId, setCurrentProjectId] = useState(null);
+    const [importReport, setImportReport] = useState(null);
+    const [csvImportMode, setCsvImportMode] = useState('replace');
+    const [csvImportReport, setCsvImportReport] = useState(null);
+    const csvInputRef = useRef(null);
+    const [history, setHistory] = useState(createHistory());
+    const shortcutsRef = useRef({});
+    const [view, setView] = useState({ zoom: 1, offsetX: 0, offsetY: 0 });
+    const [viewportSize, setViewportSize] = useState({ width: 630, height: 630 });
+    const canvasWrapperRef = useRef(null);
+    const minimapRef = useRef(null);
+    const minimapScaleRef = useRef(1);
+    const gestureRef = useRef({ pointers: {}, moved: 0, dragged: false, pinchDistance: null });
+    const companionEngineRef = useRef(createCompanionEngine());
+    const pairFocusRef = useRef({});
+
+    // A selected cell keeps its suggestions; otherwise they follow the pointer
+    const recommendationCell = currentTool === 'suggest' ? suggestCell || hoveredCell : null;
+
+    useEffect(() => {
+        updateCompanionSuggestions();
+    }, [gridState]);
+
+    useEffect(() => {
+        // Coalesce bursts of wheel/drag updates into one redraw per frame
+        const frame = requestAnimationFrame(drawGrid);
+        return () => cancelAnimationFrame(frame);
+    }, [gridState, layoutProposal, gridDimensions, excludedCells, boundary, draftBoundary, currentTool, guildCorner, recommendationCell && recommendationCell.x, recommendationCell && recommendationCell.y, forestAge, showTimeline, shadeMap, showShadeMap, compatibilityAnalysis, showCompanionHighlights, view, viewportSize]);
+
+    useEffect(() => {
+        fitToScreen();
+    }, [gridDimensions, viewportSize.width]);
+
+    useEffect(() => {
+        const measure = () => {
+            const wrapper = canvasWrapperRef.current;
+            if (wrapper) {
+                setViewportSize({ width: wrapper.clientWidth, height: Math.min(wrapper.clientWidth, 630) });
+            }
+        };
+        measure();
+        window.addEventListener('resize', measure);
+        return () => window.removeEventListener('resize', measure);
+    }, []);
+
+    useEffect(() => {
+        // Registered natively: React's wheel listener cannot prevent page scrolling
+        const canvas = canvasRef.current;
+        const handleWheel = (event) => {
+            event.preventDefault();
+            const point = getCanvasPoint(event);
+            setView(prev => zoomAt(prev, Math.exp(-event.deltaY * 0.0015), point.x, point.y));
+        };
+        canvas.addEventListener('wheel', handleWheel, { passive: false });
+        return () => canvas.removeEventListener('wheel', handleWheel);
+    }, []);
+
+    useEffect(() => {
+        updateGridSize();
+    }, [propertySize, sizeMode, customLength, customWidth]);
+
+    useEffect(() => {
+        const merged = mergePlantLibrary(plantDatabase, plantLibrary);
+        setPlants(merged);
+        setGridState(prevState => replacePlantRecords(prevState, merged));
+        setSelectedPlant(prevPlant => (prevPlant ? merged.find(p => p.id === prevPlant.id) || null : null));
+    }, [plantLibrary]);
+
+    useEffect(() => {
+        setBuiltinGuilds(getBuiltinGuilds(plants));
+    }, [plants]);
+
+    useEffect(() => {
+        setPollination(analyzePollination(gridState, pollinationDistance));
+    }, [gridState, pollinationDistance]);
+
+    useEffect(() => {
+        setScore(updateScores());
+    }, [pollination, forestAge, scoringModel]);
+
+    useEffect(() => {
+        saveScoringModel(scoringModel);
+    }, [scoringModel]);
+
+    useEffect(() => {
+        if (!showTimeline) return;
+        setTimelineProjection(projectScores(gridState, MAX_FOREST_AGE, pollinationDistance, scoringModel));
+    }, [showTimeline, gridState, pollinationDistance, scoringModel]);
+
+    // Playback advances the forest age one year per step and stops at the last year
+    useEffect(() => {
+        if (!timelinePlaying) return;
+        if (forestAge >= MAX_FOREST_AGE) {
+            setTimelinePlaying(false);
+            return;
+        }
+        const timer = setTimeout(() => setForestAge(forestAge + 1), PLAYBACK_STEP_MS);
+        return () => clearTimeout(timer);
+    }, [timelinePlaying, forestAge]);
+
+    useEffect(() => {
+        return () => stopLayoutSearch();
+    }, []);
+
+    useEffect(() => {
+        // Plants past their lifespan neither cast shade nor need light
+        const standing = getStandingPlants(gridState, forestAge);
+        const map = computeShadeMap({ gridState: standing, dimensions: gridDimensions, forestAge, latitude, orientation });
+        setShadeMap(map);
+        setLightIssues(findLightIssues(standing, map, forestAge));
+    }, [gridState, gridDimensions, forestAge, latitude, orientation]);
+
+    useEffect(() => {
+        const handleKeyDown = (event) => {
+            const target = event.target;
+            if (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT') return;
+            if (!(event.ctrlKey || event.metaKey)) return;
+            const key = event.key.toLowerCase();
+            if ((key === 'z' && event.shiftKey) || key === 'y') {
+                event.preventDefault();
+                shortcutsRef.current.redo();
+            } else if (key === 'z') {
+                event.preventDefault();
+                shortcutsRef.current.undo();
+            }
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, []);
+
+    useEffect(() => {
+        const autosave = loadAutosave();
+        if (autosave && autosave.document) {
+            // An unsaved design is only in the autosave; a project's changes are restored on request
+            const saved = autosave.projectId ? loadProject(autosave.projectId) : null;
+            const restore = !saved || (hasUnsavedChanges(saved, autosave) && window.confirm(
+                `"${saved.name}" has unsaved changes from ${new Date(autosave.savedAt).toLocaleString()}. Restore them? Cancel opens the last saved version.`
+            ));
+            const { project } = readProjectDocument(restore ? autosave.document : saved.document, plants);
+            if (project) {
+                applyProject(project);
+                setCurrentProjectId(saved ? saved.id : null);
+            }
+        }
+    }, []);
+
+    useEffect(() => {
+        saveAutosave(createDocument(), currentProjectId);
+    }, [gridState, climate, latitude, orientation, hardinessZone, lastFrost, firstFrost, chillHours, forestAge, propertySize, sizeMode, customLength, customWidth, excludedCells, boundary, setupCosts, annualCosts, currentProjectId]);
+
+    useEffect(() => {
+        setCompatibilityAnalysis(companionEngineRef.current.update(gridState, companionRadius));
+    }, [gridState, companionRadius]);
+
+    useEffect(() => {
+        setEcologicalReport({ roles: countEcologicalRoles(gridState), trees: analyzeTreeSupport(gridState) });
+    }, [gridState]);
+
+    useEffect(() => {
+        // Only the report shows the trend, and it replays every snapshot
+        if (!showModal) return;
+        const labels = ['Start', ...history.past.map(entry => entry.label)];
+        const states = [...history.past.map(entry => entry.snapshot.gridState), gridState];
+        setBiodiversityTrend(calculateBiodiversityTrend(states.map((state, index) => ({ label: labels[index], gridState: state }))));
+    }, [showModal, history, gridState]);
+
+    useEffect(() => {
+        if (!recommendationCell || !shadeMap) {
+            setCellRecommendations([]);
+            return;
+        }
+        setCellRecommendations(recommendPlantsForCell({
+            gridState,
+            x: recommendationCell.x,
+            y: recommendationCell.y,
+            plants,
+            site: { hardinessZone, lastFrost, firstFrost, chillHours },
+            shadeMap,
+            forestAge,
+            radius: companionRadius
+        }));
+    }, [recommendationCell && recommendationCell.x, recommendationCell && recommendationCell.y, gridState, plants, hardinessZone, lastFrost, firstFrost, chillHours, shadeMap, forestAge, companionRadius]);
+
+    const updateGridSize = () => {
+        let dimensions;
+        if (sizeMode === 'acre') {
+            const squareFeet = propertySize * ACRE_TO_SQ_FT;
+            const side = Math.floor(Math.sqrt(squareFeet / CELL_AREA));
+            dimensions = { width: side, height: side };
+        } else {
+            // Length runs along the x axis, width along y
+            dimensions = {
+                width: Math.floor(customLength / CELL_FEET),
+                height: Math.floor(customWidth / CELL_FEET)
+            };
+        }
+        dimensions = { width: Math.max(dimensions.width, 1), height: Math.max(dimensions.height, 1) };
+        setGridDimensions(dimensions);
+        // Keep every plant that still fits; the previous layout stays one undo away
+        setGridState(prevState => trimGridToSize(prevState, dimensions));
+        // Cells the resize adds outside the boundary are excluded too; hand-masked cells stay masked
+        setExcludedCells(prevCells => ({
+            ...trimGridToSize(prevCells, dimensions),
+            ...excludedCellsFromPolygon(boundary, dimensions)
+        }));
+    };
+
+    const createHistorySnapshot = () => ({
+        gridState,
+        propertySize,
+        sizeMode,
+        customLength,
+        customWidth,
+        excludedCells,
+        boundary
+    });
+
+    const applyHistorySnapshot = (snapshot) => {
+        setPropertySize(snapshot.propertySize);
+        setSizeMode(snapshot.sizeMode);
+        setCustomLength(snapshot.customLength);
+        setCustomWidth(snapshot.customWidth);
+        setExcludedCells(snapshot.excludedCells);
+        setBoundary(snapshot.boundary);
+        // Records may have been edited in the plant library since the snapshot was taken
+        setGridState(replacePlantRecords(snapshot.gridState, plants));
+    };
+
+    // Call before applying an edit so it can be undone
+    const recordEdit = (label, options) => {
+        setHistory(prev => recordHistory(prev, createHistorySnapshot(), label, options));
+    };
+
+    const undo = () => {
+        const result = undoHistory(history, createHistorySnapshot());
+        if (result) {
+            setHistory(result.history);
+            applyHistorySnapshot(result.snapshot);
+        }
+    };
+
+    const redo = () => {
+        const result = redoHistory(history, createHistorySnapshot());
+        if (result) {
+            setHistory(result.history);
+            applyHistorySnapshot(result.snapshot);
+        }
+    };
+
+    shortcutsRef.current = { undo, redo };
+
+    const handleResize = (setter, value) => {
+        recordEdit('Resize property', { coalesce: true });
+        setter(value);
+    };
+
+    const applyBoundary = (polygon) => {
+        const excluded = excludedCellsFromPolygon(polygon, gridDimensions);
+        recordEdit('Set boundary');
+        setBoundary(polygon);
+        setExcludedCells(excluded);
+        setGridState(removeExcludedPlants(gridState, excluded));
+        setDraftBoundary([]);
+    };
+
+    const clearBoundary = () => {
+        recordEdit('Clear boundary');
+        setBoundary([]);
+        setExcludedCells({});
+        setDraftBoundary([]);
+    };
+
+    const createDocument = (name = 'Untitled food forest') => createProjectDocument({
+        name,
+        gridState,
+        dimensions: gridDimensions,
+        excludedCells,
+        boundary,
+        sizeMode,
+        propertySize,
+        customLength,
+        customWidth,
+        climate,
+        latitude,
+        orientation,
+        hardinessZone,
+        lastFrost,
+        firstFrost,
+        chillHours,
+        forestAge,
+        setupCosts,
+        annualCosts
+    });
+
+    const applyProject = (project) => {
+        setHistory(createHistory());
+        setClimate(project.climate);
+        setLatitude(project.latitude);
+        setOrientation(project.orientation);
+        setHardinessZone(project.hardinessZone);
+        setLastFrost(project.lastFrost);
+        setFirstFrost(project.firstFrost);
+        setChillHours(project.chillHours);
+        setForestAge(project.forestAge);
+        setPropertySize(project.propertySize);
+        setSizeMode(project.sizeMode);
+        setCustomLength(project.customLength);
+        setCustomWidth(project.customWidth);
+        setSetupCosts({ ...DEFAULT_SETUP_COSTS, ...project.setupCosts });
+        setAnnualCosts({ ...DEFAULT_ANNUAL_COSTS, ...project.annualCosts });
+        setGridDimensions(project.dimensions);
+        setExcludedCells(project.excludedCells);
+        setBoundary(project.boundary);
+        setDraftBoundary([]);
+        setGridState(project.gridState);
+    };
+
+    const applyClimatePreset = (name) => {
+        const preset = CLIMATE_PRESETS[name];
+        setClimate(name);
+        setHardinessZone(preset.hardinessZone);
+        setLastFrost(preset.lastFrost);
+        setFirstFrost(preset.firstFrost);
+        setChillHours(preset.chillHours);
+    };
+
+    const setFrostFree = (frostFree) => {
+        // Start from the temperate dates; both dates are set or neither is
+        setLastFrost(frostFree ? null : CLIMATE_PRESETS.Temperate.lastFrost);
+        setFirstFrost(frostFree ? null : CLIMATE_PRESETS.Temperate.firstFrost);
+    };
+
+    const handleSaveProject = (name, projectId) => {
+        const project = projectId
+            ? saveProject(name, createDocument(name), projectId)
+            : saveProject(name, createDocument(name));
+        if (project) {
+            setCurrentProjectId(project.id);
+        } else {
+            window.alert('The project could not be saved. Browser storage may be full or disabled.');
+        }
+    };
+
+    const handleLoadProject = (projectId) => {
+        const saved = loadProject(projectId);
+        if (!saved) return;
+        const { project, errors, warnings } = readProjectDocument(saved.document, plants);
+        setImportReport(errors.length > 0 || warnings.length > 0 ? { title: `Loaded "${saved.name}"`, errors, warnings } : null);
+        if (project) {
+            applyProject(project);
+            setCurrentProjectId(saved.id);
+        }
+    };
+
+    const handleExportProject = (name) => {
+        const json = stringifyProjectDocument(createDocument(name));
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${name.replace(/[^a-z0-9-_ ]/gi, '').trim() || 'food_forest'}${PROJECT_FILE_EXTENSION}`;
+        link.click();
+    };
+
+    const handleImportProject = (file) => {
+        const reader = new FileReader();
+        reader.onload = () => {
+            const { project, errors, warnings } = parseProjectFile(reader.result, plants);
+            setImportReport({ title: `Import of ${file.name}`, errors, warnings });
+            if (project) {
+                applyProject(project);
+                const saved = saveProject(project.name, createProjectDocument(project));
+                setCurrentProjectId(saved ? saved.id : null);
+            }
+        };
+        reader.readAsText(file);
+    };
+
+    const updatePlantLibrary = (library) => {
+        if (!savePlantLibrary(library)) {
+            window.alert('The plant library could not be saved. Browser storage may be full or disabled.');
+        }
+        setPlantLibrary(library);
+    };
+
+    const handleSaveLibraryPlant = (plant) => {
+        updatePlantLibrary(putLibraryPlant(plantLibrary, plantDatabase, plant));
+    };
+
+    const handleRemoveLibraryPlant = (plant) => {
+        if (getPlantSource(plantLibrary, plant.id) === 'custom') {
+            const placed = Object.values(gridState).flat().filter(p => p.id === plant.id).length;
+            const warning = placed > 0 ? ` It will also be removed from ${placed} place${placed === 1 ? '' : 's'} on the grid.` : '';
+            if (!window.confirm(`Delete "${plant.name}" from your plant library?${warning}`)) return;
+        }
+        updatePlantLibrary(removeLibraryPlant(plantLibrary, plant.id));
+    };
+
+    const handleDeleteProject = (projectId) => {
+        if (projectId === currentProjectId) {
+            setCurrentProjectId(null);
+        }
+    };
+
+    // The marked guild corner, or the cell the plant suggestions are for
+    const getCellSelection = () => {
+        const cell = currentTool === 'guild' ? guildCorner : recommendationCell;
+        return cell ? { minX: cell.x, minY: cell.y, maxX: cell.x, maxY: cell.y } : null;
+    };
+
+    const drawGrid = () => {
+        const canvas = canvasRef.current;
+        if (!canvas) return;
+        // A proposed auto-design is previewed in place of the design until accepted or discarded
+        const proposedGrid = layoutProposal ? layoutProposal.gridState : gridState;
+        // The timeline shows the design as it stands in the chosen year
+        const displayedGrid = showTimeline ? getStandingPlants(proposedGrid, forestAge) : proposedGrid;
+        drawGridView(canvas.getContext('2d'), {
+            gridState: displayedGrid,
+            dimensions: gridDimensions,
+            excludedCells,
+            boundary,
+            draftBoundary,
+            forestAge,
+            shadeMap: showShadeMap ? shadeMap : null,
+            companionLocations: showCompanionHighlights ? compatibilityAnalysis.locations : null,
+            selection: getCellSelection(),
+            timeline: showTimeline,
+            view,
+            width: canvas.width,
+            height: canvas.height
+        });
+
+        const minimap = minimapRef.current;
+        if (minimap) {
+            minimapScaleRef.current = drawMinimap(minimap.getContext('2d'), {
+                gridState: displayedGrid,
+                dimensions: gridDimensions,
+                excludedCells,
+                view,
+                viewportWidth: canvas.width,
+                viewportHeight: canvas.height,
+                width: minimap.width,
+                height: minimap.height
+            });
+        }
+    };
+
+    const fitToScreen = () => {
+        setView(fitToView(
+            gridDimensions.width * CELL_SIZE,
+            gridDimensions.height * CELL_SIZE,
+            viewportSize.width,
+            viewportSize.height
+        ));
+    };
+
+    const zoomBy = (factor) => {
+        setView(prev => zoomAt(prev, factor, viewportSize.width / 2, viewportSize.height / 2));
+    };
+
+    // Pointer position in canvas pixels, independent of CSS scaling
+    const getCanvasPoint = (event) => {
+        const canvas = canvasRef.current;
+        const rect = canvas.getBoundingClientRect();
+        return {
+            x: (event.clientX - rect.left) * (canvas.width / rect.width),
+            y: (event.clientY - rect.top) * (canvas.height / rect.height)
+        };
+    };
+
+    const handlePointerDown = (event) => {
+        event.currentTarget.setPointerCapture(event.pointerId);
+        const gesture = gestureRef.current;
+        if (Object.keys(gesture.pointers).length === 0) {
+            gesture.moved = 0;
+            gesture.dragged = false;
+        }
+        gesture.pointers[event.pointerId] = getCanvasPoint(event);
+        gesture.pinchDistance = null;
+    };
+
+    const handlePointerMove = (event) => {
+        const gesture = gestureRef.current;
+        const previous = gesture.pointers[event.pointerId];
+        if (!previous) {
+            if (currentTool === 'suggest' && Object.keys(gesture.pointers).length === 0) {
+                hoverCell(getCanvasPoint(event));
+            }
+            return;
+        }
+        const point = getCanvasPoint(event);
+        gesture.pointers[event.pointerId] = point;
+
+        const points = Object.values(gesture.pointers);
+        if (points.length === 2) {
+            const [a, b] = points;
+            const distance = Math.hypot(a.x - b.x, a.y - b.y);
+            if (gesture.pinchDistance) {
+                const factor = distance / gesture.pinchDistance;
+                setView(prev => zoomAt(prev, factor, (a.x + b.x) / 2, (a.y + b.y) / 2));
+            }
+            gesture.pinchDistance = distance;
+            gesture.dragged = true;
+            return;
+        }
+
+        const dx = point.x - previous.x;
+        const dy = point.y - previous.y;
+        gesture.moved += Math.abs(dx) + Math.abs(dy);
+        if (gesture.moved > DRAG_THRESHOLD) {
+            gesture.dragged = true;
+            setView(prev => panBy(prev, dx, dy));
+        }
+    };
+
+    const handlePointerUp = (event) => {
+        const gesture = gestureRef.current;
+        if (!gesture.pointers[event.pointerId]) return;
+        delete gesture.pointers[event.pointerId];
+        gesture.pinchDistance = null;
+        if (Object.keys(gesture.pointers).length === 0 && !gesture.dragged && event.type === 'pointerup') {
+            handleCanvasClick(event);
+        }
+    };
+
+    const hoverCell = (point) => {
+        const { x, y } = screenToCell(view, point.x, point.y, CELL_SIZE);
+        const usable = isInsideGrid(x, y, gridDimensions) && !excludedCells[`${x},${y}`];
+        if (!usable) {
+            setHoveredCell(null);
+        } else if (!hoveredCell || hoveredCell.x !== x || hoveredCell.y !== y) {
+            setHoveredCell({ x, y });
+        }
+    };
+
+    const placeRecommendedPlant = (plant) => {
+        const { x, y } = recommendationCell;
+        const key = `${x},${y}`;
+        const placementError = getPlacementError(gridState, x, y, plant);
+        setPlacementMessage(placementError);
+        if (placementError) return;
+        recordEdit(`Place ${plant.name}`);
+        setGridState({ ...gridState, [key]: [...(gridState[key] || []), createPlanting(plant, plantingSex)] });
+        // Keep suggesting for this cell so it can be filled layer by layer
+        setSuggestCell({ x, y });
+    };
+
+    const handleMinimapClick = (event) => {
+        const minimap = minimapRef.current;
+        const rect = minimap.getBoundingClientRect();
+        const scale = minimapScaleRef.current;
+        const wx = (event.clientX - rect.left) * (minimap.width / rect.width) / scale;
+        const wy = (event.clientY - rect.top) * (minimap.height / rect.height) / scale;
+        setView(prev => centerOn(prev, wx, wy, viewportSize.width, viewportSize.height));
+    };
+
+    const focusCell = (x, y) => {
+        setView(prev => centerOn(prev, (x + 0.5) * CELL_SIZE, (y + 0.5) * CELL_SIZE, viewportSize.width, viewportSize.height));
+    };
+
+    // Repeated clicks on a pairing step through the cells where it occurs
+    const selectPairLocation = (pair) => {
+        const index = (pairFocusRef.current[pair.id] || 0) % pair.locations.length;
+        pairFocusRef.current = { [pair.id]: index + 1 };
+        const [x, y] = pair.locations[index].split(',').map(Number);
+        focusCell(x, y);
+    };
+
+    const updateCompanionSuggestions = () => {
+        const suggestions = getCompanionSuggestions(Object.values(gridState).flat());
+        setCompanionSuggestions(suggestions);
+    };
+
+    const updateScores = () => {
+        const scores = calculateScores(gridState, pollination.plantings, forestAge, scoringModel);
+        setScoreBreakdown(scores.rules);
+        setBiodiversityScore(scores.biodiversity);
+        setYieldScore(scores.yield);
+        setVerticalScore(scores.vertical);
+        setProfit(calculateProfit(pollination.plantings, forestAge));
+        return scores.total;
+    };
+
+    const stopLayoutSearch = () => {
+        if (layoutWorkerRef.current) {
+            layoutWorkerRef.current.terminate();
+            layoutWorkerRef.current = null;
+        }
+        setLayoutProgress(null);
+    };
+
+    const startLayoutSearch = ({ weights, constraints, iterations, startFrom }) => {
+        stopLayoutSearch();
+        const worker = new Worker(new URL('./layoutWorker.js', import.meta.url), { type: 'module' });
+        layoutWorkerRef.current = worker;
+        worker.onmessage = (event) => {
+            if (event.data.type === 'progress') {
+                setLayoutProgress(event.data);
+                return;
+            }
+            // The worker sends copies; link the placed plants back to the library records
+            const { result } = event.data;
+            setLayoutProposal({ ...result, gridState: replacePlantRecords(result.gridState, plants) });
+            stopLayoutSearch();
+        };
+        worker.onerror = (event) => {
+            setPlacementMessage(`The layout search failed: ${event.message}`);
+            stopLayoutSearch();
+        };
+        const startLayouts = { current: gridState, empty: {}, proposal: layoutProposal ? layoutProposal.gridState : gridState };
+        setLayoutProgress({ iteration: 0, iterations, objective: null });
+        worker.postMessage({
+            gridState: startLayouts[startFrom],
+            plants,
+            site: { hardinessZone, lastFrost, firstFrost, chillHours },
+            dimensions: gridDimensions,
+            excludedCells,
+            forestAge,
+            pollinationDistance,
+            scoringModel,
+            weights,
+            constraints,
+            iterations
+        });
+    };
+
+    const acceptLayoutProposal = () => {
+        recordEdit('Auto-design layout');
+        setGridState(layoutProposal.gridState);
+        setLayoutProposal(null);
+    };
+
+    const handleCanvasClick = (event) => {
+        const canvas = canvasRef.current;
+        if (!canvas) return;
+        const point = getCanvasPoint(event);
+        if (layoutProposal) {
+            setPlacementMessage('Accept or discard the proposed layout before editing the design.');
+            return;
+        }
+
+        if (currentTool === 'boundary') {
+            const world = screenToWorld(view, point.x, point.y);
+            const corner = snapToCorner(world.x, world.y, CELL_SIZE);
+            const vertex = {
+                x: Math.min(Math.max(corner.x, 0), gridDimensions.width),
+                y: Math.min(Math.max(corner.y, 0), gridDimensions.height)
+            };
+            setDraftBoundary(prev => [...prev, vertex]);
+            return;
+        }
+
+        const { x, y } = screenToCell(view, point.x, point.y, CELL_SIZE);
+        if (!isInsideGrid(x, y, gridDimensions)) return;
+        const key = `${x},${y}`;
+
+        if (currentTool === 'mask') {
+            recordEdit(excludedCells[key] ? `Include (${x},${y})` : `Exclude (${x},${y})`);
+            const nextExcluded = toggleExcludedCell(excludedCells, key);
+            setExcludedCells(nextExcluded);
+            setGridState(removeExcludedPlants(gridState, nextExcluded));
+            return;
+        }
+        if (currentTool === 'stamp') {
+            stampSelectedGuild(x, y);
+            return;
+        }
+        if (currentTool === 'guild') {
+            pickGuildCorner(x, y);
+            return;
+        }
+        if (excludedCells[key] && currentTool !== 'info') return;
+
+        if (currentTool === 'plant' && selectedPlant) {
+            const placementError = getPlacementError(gridState, x, y, selectedPlant);
+            setPlacementMessage(placementError);
+            if (!placementError) {
+                recordEdit(`Place ${selectedPlant.name}`);
+                setGridState({
+                    ...gridState,
+                    [key]: [...(gridState[key] || []), createPlanting(selectedPlant, plantingSex)]
+                });
+            }
+        } else if (currentTool === 'eraser') {
+            if (gridState[key]) {
+                recordEdit(`Erase (${x},${y})`);
+                const { [key]: _, ...newState } = gridState;
+                setGridState(newState);
+            }
+        } else if (currentTool === 'suggest') {
+            setSuggestCell(suggestCell && suggestCell.x === x && suggestCell.y === y ? null : { x, y });
+        } else if (currentTool === 'info') {
+            const plantsAtLocation = gridState[key] || [];
+            if (plantsAtLocation.length > 0) {
+                setModalPlant(plantsAtLocation[plantsAtLocation.length - 1]);
+                setShowModal(true);
+            }
+        }
+    };
+
+    const guilds = [...customGuilds, ...builtinGuilds];
+
+    const stampSelectedGuild = (x, y) => {
+        const guild = guilds.find(g => g.id === selectedGuildId);
+        if (!guild) {
+            setPlacementMessage('Choose a guild to stamp first.');
+            return;
+        }
+        const result = stampGuild(gridState, guild, x, y, { plants, dimensions: gridDimensions, excludedCells });
+        if (result.placed > 0) {
+            // The whole guild is one undo step
+            recordEdit(`Stamp ${guild.name}`);
+            setGridState(result.gridState);
+        }
+        const total = countGuildPlants(guild);
+        setPlacementMessage(result.skipped.length > 0
+            ? `Placed ${result.placed} of ${total} plants. Skipped: ${result.skipped.join(' ')}`
+            : null);
+    };
+
+    // Two clicks mark opposite corners of the area to save
+    const pickGuildCorner = (x, y) => {
+        if (!guildCorner) {
+            setGuildCorner({ x, y });
+            return;
+        }
+        setGuildCorner(null);
+        const name = window.prompt('Name this guild', `Guild ${customGuilds.length + 1}`);
+        if (!name || !name.trim()) return;
+        const guild = createGuildFromArea(gridState, name.trim(), guildCorner, { x, y });
+        if (!guild) {
+            setPlacementMessage('There are no plants in that area to save as a guild.');
+            return;
+        }
+        const saved = saveGuild(guild);
+        if (!saved) {
+            setPlacementMessage('The guild could not be saved; browser storage may be full or disabled.');
+            return;
+        }
+        setCustomGuilds(saved);
+        setSelectedGuildId(guild.id);
+        setPlacementMessage(null);
+    };
+
+    const handleDeleteGuild = (guild) => {
+        if (!window.confirm(`Delete the guild "${guild.name}"?`)) return;
+        const saved = deleteGuild(guild.id);
+        if (saved) setCustomGuilds(saved);
+    };
+
+    const exportSVG = () => {
+        const svgString = `
+            <svg width="${gridDimensions.width * CELL_SIZE}" height="${gridDimensions.height * CELL_SIZE}" xmlns="http://www.w3.org/2000/svg">
+                <rect width="100%" height="100%" fill="white"/>
+                ${Object.keys(excludedCells).map(key => {
+                    const [x, y] = key.split(',').map(Number);
+                    return `<rect x="${x * CELL_SIZE}" y="${y * CELL_SIZE}" width="${CELL_SIZE}" height="${CELL_SIZE}" fill="#d5d8dc"/>`;
+                }).join('')}
+                ${boundary.length >= 3 ? `<polygon points="${boundary.map(p => `${p.x * CELL_SIZE},${p.y * CELL_SIZE}`).join(' ')}" fill="none" stroke="#8e44ad" stroke-width="3"/>` : ''}
+                ${Object.entries(gridState).map(([key, plants]) => {
+                    const [x, y] = key.split(',').map(Number);
+                    return plants.map((plant, index) => {
+                        const { color, size } = getPlantRepresentation(plant);
+                        return `
+                            <circle cx="${x * CELL_SIZE + CELL_SIZE / 2}" cy="${y * CELL_SIZE + CELL_SIZE / 2 + index * 5}" r="${size}" fill="${color}"/>
+                            <text x="${x * CELL_SIZE + CELL_SIZE / 2}" y="${y * CELL_SIZE + CELL_SIZE / 2 + index * 5}" font-family="Arial" font-size="${size}" fill="white" text-anchor="middle" dominant-baseline="middle">${plant.symbol}</text>
+                        `;
+                    }).join('');
+                }).join('')}
+            </svg>
+        `;
+
+        const blob = new Blob([svgString], { type: 'image/svg+xml' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'food_forest_plan.svg';
+        link.click();
+    };
+
+    const exportJPG = () => {
+        // Export the whole property, not just the zoomed viewport
+        const canvas = renderFullGrid({ gridState, dimensions: gridDimensions, excludedCells, boundary, forestAge });
+
+        const link = document.createElement('a');
+        link.href = canvas.toDataURL('image/jpeg');
+        link.download = 'food_forest_plan.jpg';
+        link.click();
+    };
+
+    const downloadCSV = () => {
+        const blob = new Blob([coordinatesToCSV(gridState)], { type: 'text/csv;charset=utf-8' });
+        const link = document.createElement("a");
+        link.setAttribute("href", URL.createObjectURL(blob));
+        link.setAttribute("download", "food_forest_coordinates.csv");
+        document.body.appendChild(link);
+        link.click();
+    };
+
+    const handleImportCSV = (event) => {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+            const result = importCoordinatesCSV(reader.result, {
+                plants,
+                dimensions: gridDimensions,
+                excludedCells,
+                gridState,
+                mode: csvImportMode
+            });
+            if (result.errors.length === 0) {
+                recordEdit(`Import ${file.name}`);
+                setGridState(result.gridState);
+            }
+            setCsvImportReport({
+                title: `Imported ${result.imported} plant(s) from ${file.name}`,
+                errors: result.errors,
+                warnings: result.warnings
+            });
+        };
+        reader.readAsText(file);
+    };
+
+    const usableCells = countUsableCells(gridDimensions, excludedCells);
+    const canopyCover = computeCanopyCover(gridState, forestAge, gridDimensions);
+    const coveredCells = Object.keys(canopyCover).filter(key => !excludedCells[key]).length;
+
+    // Worst neighbourhoods first
+    const problemLocations = Object.values(compatibilityAnalysis.locations)
+        .filter(location => location.harmful > 0)
+        .sort((a, b) => (b.harmful - b.beneficial) - (a.harmful - a.beneficial) || a.y - b.y || a.x - b.x);
+
+    const site = { hardinessZone, lastFrost, firstFrost, chillHours };
+    const unsupportedTrees = ecologicalReport.trees.filter(tree => tree.missing.length > 0);
+    const { results: filteredPlants, facetCounts } = searchPlants(rankPlantsBySuitability(plants, site), plantFilters);
+    const modalSuitability = modalPlant ? getSuitability(modalPlant, site) : null;
+
+    return (
+        <div className="container">
+            <h1>Food Forest Planner</h1>
+
+            <ProjectManager
+                currentProjectId={currentProjectId}
+                onSave={handleSaveProject}
+                onLoad={handleLoadProject}
+                onDelete={handleDeleteProject}
+                onExport={handleExportProject}
+                onImport={handleImportProject}
+                importReport={importReport}
+                onDismissReport={() => setImportReport(null)}
+            />
+
+            <div className="compatibility-feedback">
+                <h3>Planting Arrangement Feedback</h3>
+                <p>Total Score: {score}</p>
+                <p>Biodiversity Score: {biodiversityScore}</p>
+                <p>Yield Score: {yieldScore}</p>
+                <p>Vertical Score: {verticalScore}</p>
+                <p>Profit: ${profit.toFixed(2)}</p>
+                <p>Planted Cells: {Object.keys(gridState).length} of {usableCells} usable</p>
+                <p>Canopy Cover at {forestAge} years: {usableCells > 0 ? Math.round(coveredCells / usableCells * 100) : 0}%</p>
+                <button onClick={exportSVG}>Export as SVG</button>
+                <button onClick={exportJPG}>Export as JPG</button>
+                <button onClick={() => setShowModal(true)}>View Full Report</button>
+                <ScoreBreakdown model={scoringModel} onChange={setScoringModel} breakdown={scoreBreakdown} />
+                <AutoDesignPanel
+                    plants={plants}
+                    defaultBudget={usableCells}
+                    currentScores={{ biodiversity: biodiversityScore, yield: yieldScore, vertical: verticalScore, total: score }}
+                    progress={layoutProgress}
+                    proposal={layoutProposal}
+                    onStart={startLayoutSearch}
+                    onStop={stopLayoutSearch}
+                    onAccept={acceptLayoutProposal}
+                    onDiscard={() => setLayoutProposal(null)}
+                />
+                <div className="companion-radius">
+                    <label htmlFor="companion-radius">Companion radius: {companionRadius} cell{companionRadius === 1 ? '' : 's'} ({companionRadius * CELL_FEET} ft)</label>
+                    <input
+                        id="companion-radius"
+                        type="range"
+                        min="0"
+                        max={MAX_COMPANION_RADIUS}
+                        value={companionRadius}
+                        onChange={(e) => setCompanionRadius(Number(e.target.value))}
+                    />
+                    <label>
+                        <input
+                            type="checkbox"
+                            checked={showCompanionHighlights}
+                            onChange={(e) => setShowCompanionHighlights(e.target.checked)}
+                        />
+                        Highlight neighbourhoods
+                    </label>
+                </div>
+                {problemLocations.length > 0 && (
+                    <div className="neighbourhoods">
+                        <h4>Neighbourhoods Needing Attention:</h4>
+                        <ul>
+                            {problemLocations.slice(0, PAIRS_PER_PAGE).map(location => (
+                                <li key={`${location.x},${location.y}`} className={location.status} onClick={() => focusCell(location.x, location.y)}>
+                                    ({location.x},{location.y}) {location.plants.map(plant => plant.name).join(', ')}:
+                                    {' '}{location.harmful} harmful, {location.beneficial} beneficial pairing{location.beneficial === 1 ? '' : 's'}
+                                </li>
+                            ))}
+                        </ul>
+                        {problemLocations.length > PAIRS_PER_PAGE && (
+                            <p>...and {problemLocations.length - PAIRS_PER_PAGE} more highlighted on the grid.</p>
+                        )}
+                    </div>
+                )}
+                <CompanionAnalysisLists pairs={compatibilityAnalysis.pairs} onSelectPair={selectPairLocation} />
+                {lightIssues.length > 0 && (
+                    <div className="light-issues">
+                        <h4>Light Issues:</h4>
+                        <ul>
+                            {lightIssues.map(issue => (
+                                <li key={`${issue.key}-${issue.plant.id}`}>
+                                    {issue.plant.name} at ({issue.x},{issue.y}) gets {Math.round(issue.light * 100)}% sun
+                                    {issue.problem === 'too-shaded' ? ' and is too shaded' : ' and is too exposed'} for "{issue.plant.sunlight}".
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
+                <div className="pollination">
+                    <label htmlFor="pollination-distance">Pollinator distance: {pollinationDistance} ft</label>
+                    <input
+                        id="pollination-distance"
+                        type="range"
+                        min={CELL_FEET}
+                        max={MAX_POLLINATION_DISTANCE}
+                        step={CELL_FEET}
+                        value={pollinationDistance}
+                        onChange={(e) => setPollinationDistance(Number(e.target.value))}
+                    />
+                    {pollination.issues.length > 0 && (
+                        <>
+                            <h4>Pollination Issues (no yield counted):</h4>
+                            <ul>
+                                {pollination.issues.slice(0, PAIRS_PER_PAGE).map(issue => (
+                                    <li key={`${issue.key}-${issue.index}`} onClick={() => focusCell(issue.x, issue.y)}>
+                                        {issue.plant.name}{issue.plant.sex ? ` (${issue.plant.sex})` : ''} at ({issue.x},{issue.y}) needs
+                                        {issue.problem === 'no-male' ? ` a male ${issue.plant.name}` : ` another ${issue.plant.name} variety`} within {pollinationDistance} ft.
+                                    </li>
+                                ))}
+                            </ul>
+                            {pollination.issues.length > PAIRS_PER_PAGE && (
+                                <p>...and {pollination.issues.length - PAIRS_PER_PAGE} more plants without a pollinator.</p>
+                            )}
+                        </>
+                    )}
+                </div>
+                <div className="ecological-roles">
+                    <h4>Ecological Functions:</h4>
+                    <ul>
+                        {ecologicalReport.roles.map(({ role, plants: count, species }) => (
+                            <li key={role} className={count === 0 ? 'missing' : ''}>
+                                {role}: {count} plant{count === 1 ? '' : 's'}{count > 0 && ` (${species} species)`}
+                            </li>
+                        ))}
+                    </ul>
+                    {ecologicalReport.trees.length > 0 && (
+                        <p>
+                            Productive trees with every support role nearby: {ecologicalReport.trees.length - unsupportedTrees.length} of {ecologicalReport.trees.length}
+                        </p>
+                    )}
+                    {unsupportedTrees.length > 0 && (
+                        <ul className="tree-support">
+                            {unsupportedTrees.slice(0, PAIRS_PER_PAGE).map(tree => (
+                                <li
+                                    key={`${tree.key}-${tree.plant.id}`}
+                                    className={tree.roles.length === 0 ? 'unsupported' : 'partial'}
+                                    onClick={() => focusCell(tree.x, tree.y)}
+                                >
+                                    {tree.plant.name} at ({tree.x},{tree.y}) has no {tree.missing.map(role => role.toLowerCase()).join(', ')} nearby
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                    {unsupportedTrees.length > PAIRS_PER_PAGE && (
+                        <p>...and {unsupportedTrees.length - PAIRS_PER_PAGE} more trees missing support.</p>
+                    )}
+                </div>
+            </div>
+
+            <div className="tool-selection">
+                <button onClick={() => setCurrentTool('plant')} className={currentTool === 'plant' ? 'active' : ''}>Plant</button>
+                <button onClick={() => setCurrentTool('eraser')} className={currentTool === 'eraser' ? 'active' : ''}>Eraser</button>
+                <button onClick={() => setCurrentTool('info')} className={currentTool === 'info' ? 'active' : ''}>Info</button>
+                <button onClick={() => setCurrentTool('boundary')} className={currentTool === 'boundary' ? 'active' : ''}>Draw Boundary</button>
+                <button onClick={() => setCurrentTool('mask')} className={currentTool === 'mask' ? 'active' : ''}>Mask Cells</button>
+                <button onClick={() => setCurrentTool('suggest')} className={currentTool === 'suggest' ? 'active' : ''}>Suggest Plants</button>
+                <button onClick={() => setCurrentTool('stamp')} className={currentTool === 'stamp' ? 'active' : ''}>Stamp Guild</button>
+                <button
+                    onClick={() => {
+                        setCurrentTool('guild');
+                        setGuildCorner(null);
+                    }}
+                    className={currentTool === 'guild' ? 'active' : ''}
+                >
+                    Save Guild
+                </button>
+                {selectedPlant && isDioecious(selectedPlant) && (
+                    <span className="planting-sex">
+                        <label htmlFor="planting-sex">Plant {selectedPlant.name} as:</label>
+                        <select id="planting-sex" value={plantingSex} onChange={(e) => setPlantingSex(e.target.value)}>
+                            {SEXES.map(sex => <option key={sex} value={sex}>{sex}</option>)}
+                        </select>
+                    </span>
+                )}
+            </div>
+
+            {placementMessage && (
+                <div className="placement-message">
+                    <span className="close" onClick={() => setPlacementMessage(null)}>&times;</span>
+                    {placementMessage}
+                </div>
+            )}
+
+            {currentTool === 'boundary' && (
+                <div className="boundary-controls">
+                    <p>Click grid corners to outline your parcel ({draftBoundary.length} point{draftBoundary.length === 1 ? '' : 's'}).</p>
+                    <button onClick={() => applyBoundary(draftBoundary)} disabled={draftBoundary.length < 3}>Close Boundary</button>
+                    <button onClick={() => setDraftBoundary(prev => prev.slice(0, -1))} disabled={draftBoundary.length === 0}>Remove Last Point</button>
+                    <button onClick={clearBoundary} disabled={boundary.length === 0 && Object.keys(excludedCells).length === 0}>Clear Boundary</button>
+                </div>
+            )}
+
+            {currentTool === 'suggest' && !recommendationCell && (
+                <div className="cell-recommendations">
+                    <p>Point at or click a cell to see the plants that fit it best.</p>
+                </div>
+            )}
+
+            {recommendationCell && (
+                <CellRecommendations
+                    cell={recommendationCell}
+                    pinned={Boolean(suggestCell)}
+                    plantsInCell={gridState[`${recommendationCell.x},${recommendationCell.y}`] || []}
+                    recommendations={cellRecommendations}
+                    onPlace={placeRecommendedPlant}
+                    onClear={() => setSuggestCell(null)}
+                />
+            )}
+
+            {currentTool === 'guild' && (
+                <div className="guild-controls">
+                    <p>
+                        {guildCorner
+                            ? `Corner (${guildCorner.x},${guildCorner.y}) marked. Click the opposite corner of the area to save.`
+                            : 'Click one corner of the area to save as a guild.'}
+                    </p>
+                    {guildCorner && <button onClick={() => setGuildCorner(null)}>Start Over</button>}
+                </div>
+            )}
+
+            {(currentTool === 'stamp' || currentTool === 'guild') && (
+                <GuildLibrary
+                    guilds={guilds}
+                    plants={plants}
+                    selectedGuildId={selectedGuildId}
+                    onSelect={(id) => {
+                        setSelectedGuildId(id);
+                        setCurrentTool('stamp');
+                    }}
+                    onDelete={handleDeleteGuild}
+                />
+            )}
+
+            <div className="history-controls">
+                <button onClick={undo} disabled={!canUndo(history)} title={canUndo(history) ? `Undo ${undoLabel(history)} (Ctrl+Z)` : 'Nothing to undo'}>
+                    Undo{canUndo(history) ? `: ${undoLabel(history)}` : ''}
+                </button>
+                <button onClick={redo} disabled={!canRedo(history)} title={canRedo(history) ? `Redo ${redoLabel(history)} (Ctrl+Shift+Z)` : 'Nothing to redo'}>
+                    Redo{canRedo(history) ? `: ${redoLabel(history)}` : ''}
+                </button>
+            </div>
+
+            <div className="search-box">
+                <input
+                    type="text"
+                    placeholder="Search names, scientific names, descriptions and uses..."
+                    value={plantFilters.text}
+                    onChange={(e) => setPlantFilters({ ...plantFilters, text: e.target.value })}
+                />
+            </div>
+
+            <div className="site-climate">
+                <label htmlFor="climate-preset">Climate preset:</label>
+                <select id="climate-preset" value={climate} onChange={(e) => applyClimatePreset(e.target.value)}>
+                    <option value="Tropical">Tropical</option>
+                    <option value="Subtropical">Subtropical</option>
+                    <option value="Temperate">Temperate</option>
+                </select>
+                <label htmlFor="hardiness-zone">Hardiness zone:</label>
+                <select id="hardiness-zone" value={hardinessZone} onChange={(e) => setHardinessZone(Number(e.target.value))}>
+                    {HARDINESS_ZONES.map(zone => (
+                        <option key={zone} value={zone}>USDA {formatZone(zone)} (RHS {getRHSRating(zone)})</option>
+                    ))}
+                </select>
+                <label htmlFor="chill-hours">Chill hours:</label>
+                <input
+                    id="chill-hours"
+                    type="number"
+                    value={chillHours}
+                    onChange={(e) => setChillHours(Math.max(0, Number(e.target.value)))}
+                    min="0"
+                    step="50"
+                />
+                <label>
+                    <input type="checkbox" checked={lastFrost === null} onChange={(e) => setFrostFree(e.target.checked)} />
+                    Frost-free
+                </label>
+                {lastFrost !== null && (
+                    <>
+                        <label htmlFor="last-frost">Last frost:</label>
+                        <FrostDateInput id="last-frost" value={lastFrost} onChange={setLastFrost} />
+                        <label htmlFor="first-frost">First frost:</label>
+                        <FrostDateInput id="first-frost" value={firstFrost} onChange={setFirstFrost} />
+                    </>
+                )}
+                <span className="frost-free-days">{getFrostFreeDays(site)} frost-free days</span>
+                <label>
+                    <input
+                        type="checkbox"
+                        checked={plantFilters.includeUnsuitable}
+                        onChange={(e) => setPlantFilters({ ...plantFilters, includeUnsuitable: e.target.checked })}
+                    />
+                    Show unsuitable plants
+                </label>
+            </div>
+
+            <select value={plantFilters.layer} onChange={(e) => setPlantFilters({ ...plantFilters, layer: e.target.value })}>
+                <option value="All">All Layers</option>
+                <option value="Canopy">Canopy</option>
+                <option value="Sub-canopy">Sub-canopy</option>
+                <option value="Shrub">Shrub</option>
+                <option value="Herbaceous">Herbaceous</option>
+                <option value="Ground Cover">Ground Cover</option>
+                <option value="Vine">Vine</option>
+                <option value="Root">Root</option>
+            </select>
+
+            <PlantSearchPanel
+                filters={plantFilters}
+                onChange={setPlantFilters}
+                facetCounts={facetCounts}
+                resultCount={filteredPlants.length}
+                totalCount={plants.length}
+            />
+
+            <div className="grid">
+                <div className="plant-selection">
+                    {filteredPlants.map(({ plant, suitability, reasons }) => (
+                        <button
+                            key={plant.id}
+                            className={`${suitability}${selectedPlant && selectedPlant.id === plant.id ? ' selected' : ''}`}
+                            title={reasons.join(' ')}
+                            onClick={() => setSelectedPlant(plant)}
+                        >
+                            {plant.name} ({plant.layer})
+                            {describeSortValue(plant, plantFilters.sort) && <span className="sort-value">{describeSortValue(plant, plantFilters.sort)}</span>}
+                            {suitability !== 'ideal' && <span className="suitability">{suitability}</span>}
+                        </button>
+                    ))}
+                </div>
+                <div className="canvas-wrapper" ref={canvasWrapperRef}>
+                    <canvas
+                        ref={canvasRef}
+                        width={viewportSize.width}
+                        height={viewportSize.height}
+                        onPointerDown={handlePointerDown}
+                        onPointerMove={handlePointerMove}
+                        onPointerUp={handlePointerUp}
+                        onPointerCancel={handlePointerUp}
+                        style={{ border: '1px solid black', touchAction: 'none' }}
+                    />
+                    <div className="view-controls">
+                        <button onClick={() => zoomBy(1.25)} title="Zoom in">+</button>
+                        <button onClick={() => zoomBy(0.8)} title="Zoom out">&minus;</button>
+                        <button onClick={fitToScreen}>Fit to Screen</button>
+                        <span className="zoom-level">{Math.round(view.zoom * 100)}%</span>
+                    </div>
+                    <canvas
+                        ref={minimapRef}
+                        className="minimap"
+                        width={MINIMAP_SIZE}
+                        height={MINIMAP_SIZE}
+                        onClick={handleMinimapClick}
+                    />
+                </div>
+            </div>
+
+            <div id="companion-suggestions" className="companion-suggestions">
+                <h3>Companion Plant Suggestions:</h3>
+                {companionSuggestions.map(name => {
+                    // Many companions (e.g. Comfrey) are not in the database and cannot be planted
+                    const plant = plants.find(p => p.name === name);
+                    return plant ? (
+                        <span key={name} className="companion-suggestion" onClick={() => setSelectedPlant(plant)}>
+                            {name}
+                        </span>
+                    ) : (
+                        <span key={name} className="companion-suggestion unavailable" title="Not in the plant database">
+                            {name}
+                        </span>
+                    );
+                })}
+                <div>
+                    <button onClick={() => setShowCompanionGraph(!showCompanionGraph)}>
+                        {showCompanionGraph ? 'Hide Companion Network' : 'Explore Companion Network'}
+                    </button>
+                </div>
+                {showCompanionGraph && (
+                    <CompanionGraphExplorer
+                        plants={plants}
+                        gridState={gridState}
+                        climate={climate}
+                        onSelectPlant={(plant) => {
+                            setModalPlant(plant);
+                            setShowModal(true);
+                        }}
+                    />
+                )}
+            </div>
+
+            <PlantLibraryManager
+                plants={plants}
+                library={plantLibrary}
+                selectedPlant={selectedPlant}
+                onSavePlant={handleSaveLibraryPlant}
+                onRemovePlant={handleRemoveLibraryPlant}
+                onImportCatalog={(entries) => updatePlantLibrary(applyPlantCatalog(plantLibrary, plantDatabase, entries))}
+            />
+
+            <div className="slider-container">
+                <label htmlFor="forest-age">Forest Age: {forestAge} years</label>
+                <input
+                    id="forest-age"
+                    type="range"
+                    min="1"
+                    max={MAX_FOREST_AGE}
+                    value={forestAge}
+                    onChange={(e) => setForestAge(Number(e.target.value))}
+                    className="slider"
+                />
+                <label>
+                    <input
+                        type="checkbox"
+                        checked={showTimeline}
+                        onChange={(e) => {
+                            setShowTimeline(e.target.checked);
+                            setTimelinePlaying(false);
+                        }}
+                    />
+                    Growth timeline (show plants as they stand in this year)
+                </label>
+                {showTimeline && (
+                    <GrowthTimeline
+                        projection={timelineProjection}
+                        removals={listRemovals(gridState)}
+                        forestAge={forestAge}
+                        playing={timelinePlaying}
+                        onPlay={() => {
+                            if (forestAge >= MAX_FOREST_AGE) setForestAge(1);
+                            setTimelinePlaying(true);
+                        }}
+                        onPause={() => setTimelinePlaying(false)}
+                    />
+                )}
+            </div>
+
+            <div className="site-settings">
+                <label htmlFor="latitude">Latitude (&deg;, negative for south):</label>
+                <input
+                    id="latitude"
+                    type="number"
+                    value={latitude}
+                    onChange={(e) => setLatitude(Math.max(-90, Math.min(90, Number(e.target.value))))}
+                    min="-90"
+                    max="90"
+                    step="1"
+                />
+                <button onClick={() => setLatitude(DEFAULT_LATITUDES[climate])}>Use {climate} Default</button>
+                <label htmlFor="orientation">Top of grid faces (&deg; from north):</label>
+                <input
+                    id="orientation"
+                    type="number"
+                    value={orientation}
+                    onChange={(e) => setOrientation(Number(e.target.value) % 360)}
+                    step="15"
+                />
+                <label>
+                    <input type="checkbox" checked={showShadeMap} onChange={(e) => setShowShadeMap(e.target.checked)} />
+                    Show shade map
+                </label>
+            </div>
+
+            <div className="property-size-container">
+                <label htmlFor="size-mode">Size Mode:</label>
+                <select id="size-mode" value={sizeMode} onChange={(e) => handleResize(setSizeMode, e.target.value)}>
+                    <option value="acre">Acre</option>
+                    <option value="custom">Custom</option>
+                </select>
+                {sizeMode === 'acre' && (
+                    <div>
+                        <label htmlFor="property-size">Property Size (in acres):</label>
+                        <input
+                            id="property-size"
+                            type="number"
+                            value={propertySize}
+                            onChange={(e) => handleResize(setPropertySize, Number(e.target.value))}
+                            min="0.1"
+                            step="0.1"
+                        />
+                    </div>
+                )}
+                {sizeMode === 'custom' && (
+                    <div>
+                        <label htmlFor="custom-length">Length (in feet):</label>
+                        <input
+                            id="custom-length"
+                            type="number"
+                            value={customLength}
+                            onChange={(e) => handleResize(setCustomLength, Number(e.target.value))}
+                            min="9"
+                            step="9"
+                        />
+                        <label htmlFor="custom-width">Width (in feet):</label>
+                        <input
+                            id="custom-width"
+                            type="number"
+                            value={customWidth}
+                            onChange={(e) => handleResize(setCustomWidth, Number(e.target.value))}
+                            min="9"
+                            step="9"
+                        />
+                    </div>
+                )}
+                <p className="area-summary">
+                    Grid: {gridDimensions.width} x {gridDimensions.height} cells
+                    ({gridDimensions.width * CELL_FEET} x {gridDimensions.height * CELL_FEET} ft).
+                    Usable: {usableCells} cells, {(usableCells * CELL_AREA).toLocaleString()} sq ft
+                    ({(usableCells * CELL_AREA / ACRE_TO_SQ_FT).toFixed(2)} acres)
+                    {boundary.length >= 3 && `, boundary encloses ${Math.round(polygonArea(boundary)).toLocaleString()} sq ft`}.
+                </p>
+            </div>
+
+            <EconomicAnalysisTool
+                plantings={pollination.plantings}
+                plants={plants}
+                forestAge={forestAge}
+                setupCosts={setupCosts}
+                setSetupCosts={setSetupCosts}
+                annualCosts={annualCosts}
+                setAnnualCosts={setAnnualCosts}
+            />
+
+            <div className="export-buttons">
+                <button onClick={exportSVG}>Export as SVG</button>
+                <button onClick={exportJPG}>Export as JPG</button>
+                <button onClick={downloadCSV}>Export Coordinates as CSV</button> 
+            </div>
+
+            <div className="csv-import">
+                <label htmlFor="csv-import-mode">Coordinates CSV import:</label>
+                <select id="csv-import-mode" value={csvImportMode} onChange={(e) => setCsvImportMode(e.target.value)}>
+                    <option value="replace">Replace current design</option>
+                    <option value="merge">Merge into current design</option>
+                </select>
+                <button onClick={() => csvInputRef.current.click()}>Import Coordinates CSV</button>
+                <input
+                    ref={csvInputRef}
+                    type="file"
+                    accept=".csv,text/csv"
+                    style={{ display: 'none' }}
+                    onChange={handleImportCSV}
+                />
+                <ImportReport report={csvImportReport} onDismiss={() => setCsvImportReport(null)} />
+            </div>
+
+            {showModal && (
+                <div className="modal">
+                    <div className="modal-content">
+                        <span className="close" onClick={() => setShowModal(false)}>&times;</span>
+                        {modalPlant ? (
+                            <div className="plant-info">
+                                <img src={modalPlant.image} alt={modalPlant.name} />
+                                <div className="plant-details">
+                                    <h2>{modalPlant.name}</h2>
+                                    <p>{modalPlant.description}</p>
+                                    <ul>
+                                        <li><strong>Climate:</strong> {modalPlant.climate}</li>
+                                        <li><strong>Layer:</strong> {modalPlant.layer}</li>
+                                        {modalPlant.family && <li><strong>Family:</strong> {modalPlant.family}</li>}
+                                        <li>
+                                            <strong>Pollination:</strong> {modalPlant.pollination}
+                                            {modalPlant.sex && ` (this plant is ${modalPlant.sex})`}
+                                        </li>
+                                        {modalPlant.ecologicalRoles && modalPlant.ecologicalRoles.length > 0 && (
+                                            <li><strong>Ecological Roles:</strong> {modalPlant.ecologicalRoles.join(', ')}</li>
+                                        )}
+                                        <li><strong>Yield per Year:</strong> {modalPlant.yieldPerYear} {modalPlant.unit}</li>
+                                        <li><strong>Market Price:</strong> ${modalPlant.marketPrice} per {modalPlant.unit}</li>
+                                        <li><strong>Maturity Age:</strong> {modalPlant.maturityAge} years</li>
+                                        {modalPlant.matureSpread && <li><strong>Mature Spread:</strong> {modalPlant.matureSpread} ft</li>}
+                                        {modalPlant.matureHeight && <li><strong>Mature Height:</strong> {modalPlant.matureHeight} ft</li>}
+                                        <li>
+                                            <strong>Hardiness:</strong> USDA {formatZone(modalPlant.hardinessZoneMin)}&ndash;{formatZone(modalPlant.hardinessZoneMax + 0.5)}
+                                            {' '}(RHS {getRHSRating(modalPlant.hardinessZoneMin)}), {modalPlant.chillHours} chill hours, {modalPlant.growingSeasonDays} frost-free days
+                                        </li>
+                                        <li>
+                                            <strong>Suitability for this site:</strong> {modalSuitability.suitability}
+                                            {modalSuitability.reasons.length > 0 && ` (${modalSuitability.reasons.join(' ')})`}
+                                        </li>
+                                        {modalPlant.antagonists && modalPlant.antagonists.length > 0 && (
+                                            <li>
+                                                <strong>Avoid Planting Near:</strong>{' '}
+                                                {modalPlant.antagonists.map(antagonist => `${antagonist.name} (${antagonist.severity}: ${antagonist.reason})`).join(', ')}
+                                            </li>
+                                        )}
+                                    </ul>
+                                </div>
+                            </div>
+                        ) : (
+                            <FullReportModal
+                                compatibilityAnalysis={compatibilityAnalysis}
+                                biodiversityScore={biodiversityScore}
+                                yieldScore={yieldScore}
+                                verticalScore={verticalScore}
+                                profit={profit}
+                                biodiversityTrend={biodiversityTrend}
+                                onClose={() => setShowModal(false)}
+                            />
+                        )}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
 export default FoodForestPlanner;
\ No newline at end of file
@@ -0,0 +1,74 @@
+// Biodiversity indices of a design, computed from the plants on the grid.
+//
+// Abundance is the number of placed plants of each group; species are told apart by name, genera
+// by the first word of the scientific name and families by the `family` field.
+// - Shannon index H' = -Σ p ln p over the share p of each species
+// - Simpson's index of diversity 1 - Σ n(n - 1) / (N(N - 1)): the chance that two plants picked
+//   at random belong to different species
+// - evenness (Pielou's J) = H' / ln S: 1 when every species is equally common
+// - functional diversity: Shannon index over layers and over ecological roles, where a plant
+//   counts once for every role it fills
+import { LAYERS, ECOLOGICAL_ROLES } from './plantValidation';
+
+// How the indices are described in the report
+export const BIODIVERSITY_INDICES = [
+    { key: 'species', label: 'Species richness', description: 'Distinct species planted.' },
+    { key: 'shannon', label: 'Shannon index (H\')', description: 'Rises with both the number of species and how evenly plants are spread among them.' },
+    { key: 'simpson', label: 'Simpson\'s diversity (1 - D)', description: 'Chance that two plants picked at random are different species.' },
+    { key: 'evenness', label: 'Species evenness (J)', description: 'How evenly plants are spread among species, from 0 to 1.' },
+    { key: 'genera', label: 'Genera', description: 'Distinct genera, from the scientific names.' },
+    { key: 'families', label: 'Families', description: 'Distinct botanical families.' },
+    { key: 'familyShannon', label: 'Family Shannon index', description: 'Shannon index over families; close relatives share pests and diseases.' },
+    { key: 'layerShannon', label: 'Layer diversity', description: `Shannon index over the ${LAYERS.length} forest layers.` },
+    { key: 'roleShannon', label: 'Functional diversity', description: `Shannon index over the ${ECOLOGICAL_ROLES.length} ecological roles.` }
+];
+
+const countBy = (values) => {
+    const counts = new Map();
+    values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    return [...counts.values()];
+};
+
+export const shannonIndex = (counts) => {
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    return counts.reduce((sum, count) => (count > 0 ? sum - (count / total) * Math.log(count / total) : sum), 0);
+};
+
+export const simpsonDiversity = (counts) => {
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    if (total < 2) return 0;
+    return 1 - counts.reduce((sum, count) => sum + count * (count - 1), 0) / (total * (total - 1));
+};
+
+const getGenus = (plant) => (plant.scientificName ? plant.scientificName.trim().split(/\s+/)[0] : plant.name);
+
+// Returns { plants, species, shannon, simpson, evenness, genera, families, familyShannon,
+// layersUsed, layerShannon, rolesPresent, roleShannon }. Plants without a family are left out of
+// the family figures.
+export const calculateBiodiversity = (gridState) => {
+    const plants = Object.values(gridState).flat();
+    const speciesCounts = countBy(plants.map(plant => plant.name));
+    const withFamily = plants.filter(plant => plant.family);
+    const familyCounts = countBy(withFamily.map(plant => plant.family));
+    const roleCounts = countBy(plants.flatMap(plant => plant.ecologicalRoles || []));
+    const shannon = shannonIndex(speciesCounts);
+    return {
+        plants: plants.length,
+        species: speciesCounts.length,
+        shannon,
+        simpson: simpsonDiversity(speciesCounts),
+        evenness: speciesCounts.length > 1 ? shannon / Math.log(speciesCounts.length) : 0,
+        genera: new Set(plants.map(getGenus)).size,
+        families: familyCounts.length,
+        familyShannon: shannonIndex(familyCounts),
+        layersUsed: new Set(plants.map(plant => plant.layer)).size,
+        layerShannon: shannonIndex(countBy(plants.map(plant => plant.layer))),
+        rolesPresent: roleCounts.length,
+        roleShannon: shannonIndex(roleCounts)
+    };
+};
+
+// The indices after each step of a design's history: steps are [{ label, gridState }] in order
+export const calculateBiodiversityTrend = (steps) => {
+    return steps.map(({ label, gridState }, index) => ({ step: index, label, ...calculateBiodiversity(gridState) }));
+};
@@ -0,0 +1,92 @@
+// Planting recommendations for a single cell of the design.
+//
+// Every plant that may go into the cell (see getPlacementError) and is not unsuitable for the
+// site is rated on five factors from 0 to 1, and ranked by their weighted sum:
+// - companions: beneficial against harmful pairings with the species within the companion radius
+// - capacity: room left in the plant's layer in this cell
+// - light: how well the cell's light at the plant's height (from the shade map) meets its needs
+// - climate: suitability for the site
+// - value: crop value per cell, relative to the most valuable candidate
+import { getRelation } from './companionAnalysis';
+import { getLayerCapacity, getPlacementError } from './gridRules';
+import { getValuePerCell } from './plantSearch';
+import { getLightAt, getLightRequirement, getPlantHeight } from './shadeModel';
+import { getSuitability } from './siteClimate';
+
+export const FACTOR_WEIGHTS = {
+    companions: 3,
+    light: 2,
+    climate: 2,
+    capacity: 1,
+    value: 1
+};
+
+// Distinct species within `radius` cells (Chebyshev distance), the cell itself included
+const getNeighbourSpecies = (gridState, x, y, radius) => {
+    const species = new Map();
+    for (let dy = -radius; dy <= radius; dy++) {
+        for (let dx = -radius; dx <= radius; dx++) {
+            (gridState[`${x + dx},${y + dy}`] || []).forEach(plant => species.set(plant.name, plant));
+        }
+    }
+    return [...species.values()];
+};
+
+// An empty neighbourhood is neutral (0.5); all companions gives 1 and all antagonists 0
+const rateCompanions = (plant, neighbours) => {
+    const others = neighbours.filter(other => other.name !== plant.name);
+    const beneficial = [];
+    const harmful = [];
+    others.forEach(other => {
+        const { relation } = getRelation(plant, other);
+        if (relation === 'beneficial') beneficial.push(other.name);
+        if (relation === 'harmful') harmful.push(other.name);
+    });
+    const balance = others.length === 0 ? 0 : (beneficial.length - harmful.length) / others.length;
+    return { rating: (balance + 1) / 2, beneficial, harmful };
+};
+
+// 1 inside the plant's light range, falling to 0 half a day's sun outside it
+const rateLight = (light, requirement) => {
+    const shortfall = Math.max(requirement.min - light, light - requirement.max, 0);
+    return Math.max(0, 1 - shortfall * 2);
+};
+
+const CLIMATE_RATINGS = { ideal: 1, marginal: 0.5 };
+
+// Returns [{ plant, score, factors: { companions, capacity, light, climate, value }, reasons }], best
+// first. score is the weighted share of the best possible rating, from 0 to 100.
+export const recommendPlantsForCell = ({ gridState, x, y, plants, site, shadeMap, forestAge, radius }) => {
+    const cellPlants = gridState[`${x},${y}`] || [];
+    const neighbours = getNeighbourSpecies(gridState, x, y, radius);
+    const candidates = plants
+        .map(plant => ({ plant, ...getSuitability(plant, site) }))
+        .filter(({ plant, suitability }) => suitability !== 'unsuitable' && !getPlacementError(gridState, x, y, plant));
+    const maxValue = Math.max(0, ...candidates.map(({ plant }) => getValuePerCell(plant)));
+    const totalWeight = Object.values(FACTOR_WEIGHTS).reduce((sum, weight) => sum + weight, 0);
+
+    return candidates
+        .map(({ plant, suitability, reasons: climateReasons }) => {
+            const companions = rateCompanions(plant, neighbours);
+            const capacity = getLayerCapacity(plant.layer);
+            const free = capacity - cellPlants.filter(p => p.layer === plant.layer).length;
+            const light = shadeMap ? getLightAt(shadeMap, x, y, getPlantHeight(plant, forestAge)) : 1;
+            const factors = {
+                companions: companions.rating,
+                capacity: free / capacity,
+                light: rateLight(light, getLightRequirement(plant.sunlight)),
+                climate: CLIMATE_RATINGS[suitability],
+                value: maxValue > 0 ? getValuePerCell(plant) / maxValue : 0
+            };
+            const reasons = [
+                companions.beneficial.length > 0 && `Companion of ${companions.beneficial.join(', ')}.`,
+                companions.harmful.length > 0 && `Antagonist of ${companions.harmful.join(', ')}.`,
+                `${free} of ${capacity} ${plant.layer} place${capacity === 1 ? '' : 's'} free.`,
+                `${Math.round(light * 100)}% sun for "${plant.sunlight}".`,
+                ...climateReasons
+            ].filter(Boolean);
+            const weighted = Object.entries(FACTOR_WEIGHTS).reduce((sum, [factor, weight]) => sum + factors[factor] * weight, 0);
+            return { plant, score: Math.round(weighted / totalWeight * 100), factors, reasons };
+        })
+        .sort((a, b) => b.score - a.score || a.plant.name.localeCompare(b.plant.name));
+};
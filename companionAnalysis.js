@@ -0,0 +1,205 @@
+// Companion analysis between neighbouring plants.
+//
+// Two plants are compared only when their cells are within `radius` cells of each other
+// (Chebyshev distance, so radius 1 is the cell itself and its eight neighbours). Results are
+// aggregated per species pair, so a grid of hundreds of plants yields one entry per pairing
+// rather than one per plant instance.
+import { SEVERITIES } from './plantValidation';
+
+export const DEFAULT_COMPANION_RADIUS = 1;
+export const MAX_COMPANION_RADIUS = 5;
+
+export const RELATIONS = ['beneficial', 'harmful', 'neutral'];
+
+export const areCompanions = (plant, other) => {
+    return (plant.companions || []).includes(other.name) || (other.companions || []).includes(plant.name);
+};
+
+// Antagonist entries either plant records against the other
+export const findAntagonisms = (plant, other) => [
+    ...(plant.antagonists || []).filter(antagonist => antagonist.name === other.name),
+    ...(other.antagonists || []).filter(antagonist => antagonist.name === plant.name)
+];
+
+// A recorded antagonism outweighs a listed companionship; pairs with neither are neutral (unknown).
+// Returns { relation, severity, reasons }, with severity and reasons only for harmful pairs.
+export const getRelation = (plant, other) => {
+    const antagonisms = findAntagonisms(plant, other);
+    if (antagonisms.length > 0) {
+        const severity = antagonisms
+            .map(antagonism => antagonism.severity)
+            .reduce((worst, severity) => (SEVERITIES.indexOf(severity) > SEVERITIES.indexOf(worst) ? severity : worst), 'low');
+        return { relation: 'harmful', severity, reasons: [...new Set(antagonisms.map(antagonism => antagonism.reason))] };
+    }
+    return { relation: areCompanions(plant, other) ? 'beneficial' : 'neutral' };
+};
+
+const parseKey = (key) => key.split(',').map(Number);
+
+const speciesPairId = (a, b) => (a < b ? `${a}|${b}` : `${b}|${a}`);
+
+const cellPairId = (keyA, keyB) => (keyA < keyB ? `${keyA}~${keyB}` : `${keyB}~${keyA}`);
+
+const emptyCounts = () => ({ beneficial: 0, harmful: 0, neutral: 0 });
+
+const locationStatus = ({ beneficial, harmful }) => {
+    if (beneficial > 0 && harmful > 0) return 'mixed';
+    if (beneficial > 0) return 'good';
+    if (harmful > 0) return 'harmful';
+    return 'neutral';
+};
+
+// Species pairings between two cells (or within one cell when keyA === keyB), counted per pair
+const compareCells = (keyA, plantsA, keyB, plantsB) => {
+    const entries = new Map();
+    const add = (plant, other) => {
+        if (plant.name === other.name) return;
+        const id = speciesPairId(plant.name, other.name);
+        const entry = entries.get(id);
+        if (entry) {
+            entry.count++;
+        } else {
+            entries.set(id, { id, species: [plant.name, other.name].sort(), ...getRelation(plant, other), count: 1 });
+        }
+    };
+    if (keyA === keyB) {
+        for (let i = 0; i < plantsA.length; i++) {
+            for (let j = i + 1; j < plantsA.length; j++) add(plantsA[i], plantsA[j]);
+        }
+    } else {
+        plantsA.forEach(plant => plantsB.forEach(other => add(plant, other)));
+    }
+    return [...entries.values()];
+};
+
+// Keeps the analysis of the last grid it saw and, on update, re-examines only the cells whose
+// plant arrays changed (grid updates replace the arrays of edited cells). Changing the radius
+// starts over.
+//
+// update(gridState, radius) returns {
+//   pairs: [{ id, species: [nameA, nameB], relation, severity, reasons, count, locations: ["x,y"] }],
+//   locations: { "x,y": { x, y, plants, beneficial, harmful, neutral, status: 'good' | 'harmful' | 'mixed' | 'neutral' } },
+//   totals: { beneficial, harmful, neutral }
+// }
+// relation is one of RELATIONS; severity and reasons are set for harmful pairs only.
+// Pairs are sorted by count, most frequent first.
+export const createCompanionEngine = (initialRadius = DEFAULT_COMPANION_RADIUS) => {
+    let radius = initialRadius;
+    let grid = {};
+    // Pairings found between two cells, so they can be withdrawn when either cell changes
+    let cellPairs = new Map();
+    let cellIndex = new Map();
+    let speciesPairs = new Map();
+    let locationCounts = new Map();
+
+    const reset = () => {
+        grid = {};
+        cellPairs = new Map();
+        cellIndex = new Map();
+        speciesPairs = new Map();
+        locationCounts = new Map();
+    };
+
+    const apply = (keys, entries, sign) => {
+        entries.forEach(entry => {
+            let pair = speciesPairs.get(entry.id);
+            if (!pair) {
+                const { count, ...details } = entry;
+                pair = { ...details, count: 0, cells: new Map() };
+                speciesPairs.set(entry.id, pair);
+            }
+            pair.count += sign * entry.count;
+            keys.forEach(key => {
+                const cellCount = (pair.cells.get(key) || 0) + sign * entry.count;
+                if (cellCount > 0) pair.cells.set(key, cellCount);
+                else pair.cells.delete(key);
+
+                const counts = locationCounts.get(key) || emptyCounts();
+                counts[entry.relation] += sign * entry.count;
+                if (RELATIONS.some(relation => counts[relation] > 0)) locationCounts.set(key, counts);
+                else locationCounts.delete(key);
+            });
+            if (pair.count <= 0) speciesPairs.delete(entry.id);
+        });
+    };
+
+    const index = (key, id) => {
+        if (!cellIndex.has(key)) cellIndex.set(key, new Set());
+        cellIndex.get(key).add(id);
+    };
+
+    const removeCell = (key) => {
+        const ids = cellIndex.get(key);
+        if (!ids) return;
+        ids.forEach(id => {
+            const { keys, entries } = cellPairs.get(id);
+            apply(keys, entries, -1);
+            cellPairs.delete(id);
+            keys.forEach(other => {
+                if (other !== key && cellIndex.has(other)) cellIndex.get(other).delete(id);
+            });
+        });
+        cellIndex.delete(key);
+    };
+
+    const addCell = (key) => {
+        const plants = grid[key];
+        if (!plants || plants.length === 0) return;
+        const [x, y] = parseKey(key);
+        for (let dy = -radius; dy <= radius; dy++) {
+            for (let dx = -radius; dx <= radius; dx++) {
+                const neighbourKey = `${x + dx},${y + dy}`;
+                const neighbours = grid[neighbourKey];
+                const id = cellPairId(key, neighbourKey);
+                if (!neighbours || neighbours.length === 0 || cellPairs.has(id)) continue;
+                const entries = compareCells(key, plants, neighbourKey, neighbours);
+                if (entries.length === 0) continue;
+                const keys = key === neighbourKey ? [key] : [key, neighbourKey];
+                cellPairs.set(id, { keys, entries });
+                keys.forEach(k => index(k, id));
+                apply(keys, entries, 1);
+            }
+        }
+    };
+
+    const snapshot = () => {
+        const pairs = [...speciesPairs.values()]
+            .map(({ cells, ...pair }) => ({ ...pair, locations: [...cells.keys()] }))
+            .sort((a, b) => b.count - a.count || a.id.localeCompare(b.id));
+        const locations = {};
+        const totals = emptyCounts();
+        locationCounts.forEach((counts, key) => {
+            const [x, y] = parseKey(key);
+            locations[key] = { x, y, plants: grid[key], ...counts, status: locationStatus(counts) };
+        });
+        pairs.forEach(pair => {
+            totals[pair.relation] += pair.count;
+        });
+        return { pairs, locations, totals };
+    };
+
+    const update = (gridState, nextRadius = radius) => {
+        if (nextRadius !== radius) {
+            reset();
+            radius = nextRadius;
+        }
+        const changed = new Set();
+        Object.keys(grid).forEach(key => {
+            if (grid[key] !== gridState[key]) changed.add(key);
+        });
+        Object.keys(gridState).forEach(key => {
+            if (grid[key] !== gridState[key]) changed.add(key);
+        });
+        changed.forEach(removeCell);
+        grid = gridState;
+        changed.forEach(addCell);
+        return snapshot();
+    };
+
+    return { update };
+};
+
+// One-off analysis of a whole grid
+export const analyzeCompanions = (gridState, radius = DEFAULT_COMPANION_RADIUS) => {
+    return createCompanionEngine(radius).update(gridState);
+};
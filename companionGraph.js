@@ -0,0 +1,131 @@
+// Companion network built from the plant records' `companions` and `antagonists` lists.
+//
+// Nodes are species, keyed by name. Names a record lists that have no record of their own
+// (e.g. 'Comfrey') become external nodes without a plant.
+
+// Pull towards the centre, as a share of the distance from it
+const GRAVITY = 0.5;
+
+const edgeId = (a, b) => (a < b ? `${a}|${b}` : `${b}|${a}`);
+
+// climate 'All' keeps every record. Returns { nodes: [{ id, plant }], edges: [{ id, source, target, relation }] }
+// where relation is 'beneficial' or 'harmful'; an antagonism replaces a companionship between the same two species.
+export const buildCompanionGraph = (plants, { climate = 'All', includeExternal = true } = {}) => {
+    const records = plants.filter(plant => climate === 'All' || plant.climate === climate);
+    const nodes = new Map();
+    records.forEach(plant => {
+        if (!nodes.has(plant.name)) nodes.set(plant.name, { id: plant.name, plant });
+    });
+
+    const edges = new Map();
+    const addEdge = (source, target, relation) => {
+        if (source === target) return;
+        if (!nodes.has(target)) {
+            if (!includeExternal) return;
+            nodes.set(target, { id: target, plant: null });
+        }
+        const id = edgeId(source, target);
+        const existing = edges.get(id);
+        if (!existing || (existing.relation === 'beneficial' && relation === 'harmful')) {
+            edges.set(id, { id, source, target, relation });
+        }
+    };
+    records.forEach(plant => {
+        (plant.companions || []).forEach(name => addEdge(plant.name, name, 'beneficial'));
+        (plant.antagonists || []).forEach(antagonist => addEdge(plant.name, antagonist.name, 'harmful'));
+    });
+
+    return { nodes: [...nodes.values()], edges: [...edges.values()] };
+};
+
+// Names directly connected to `id`
+export const getNeighbours = (graph, id) => {
+    const neighbours = new Set();
+    graph.edges.forEach(({ source, target }) => {
+        if (source === id) neighbours.add(target);
+        if (target === id) neighbours.add(source);
+    });
+    return neighbours;
+};
+
+// Force-directed layout (Fruchterman-Reingold). Deterministic: nodes start evenly spaced on a
+// circle, so the same graph always lands in the same place. Returns { [id]: { x, y } }.
+export const layoutCompanionGraph = (graph, width, height, iterations = 300) => {
+    const { nodes, edges } = graph;
+    const positions = {};
+    if (nodes.length === 0) return positions;
+
+    const margin = 30;
+    // Ideal edge length
+    const k = 0.6 * Math.sqrt((width - 2 * margin) * (height - 2 * margin) / nodes.length);
+    nodes.forEach((node, index) => {
+        const angle = 2 * Math.PI * index / nodes.length;
+        positions[node.id] = {
+            x: width / 2 + Math.cos(angle) * (width / 2 - margin),
+            y: height / 2 + Math.sin(angle) * (height / 2 - margin)
+        };
+    });
+
+    let temperature = width / 10;
+    const cooling = temperature / (iterations + 1);
+    for (let step = 0; step < iterations; step++) {
+        const displacement = {};
+        nodes.forEach(node => {
+            displacement[node.id] = { x: 0, y: 0 };
+        });
+
+        for (let i = 0; i < nodes.length; i++) {
+            for (let j = i + 1; j < nodes.length; j++) {
+                const a = positions[nodes[i].id];
+                const b = positions[nodes[j].id];
+                const dx = a.x - b.x;
+                const dy = a.y - b.y;
+                const distance = Math.max(Math.hypot(dx, dy), 0.01);
+                const force = k * k / distance;
+                displacement[nodes[i].id].x += dx / distance * force;
+                displacement[nodes[i].id].y += dy / distance * force;
+                displacement[nodes[j].id].x -= dx / distance * force;
+                displacement[nodes[j].id].y -= dy / distance * force;
+            }
+        }
+
+        edges.forEach(({ source, target }) => {
+            const a = positions[source];
+            const b = positions[target];
+            const dx = a.x - b.x;
+            const dy = a.y - b.y;
+            const distance = Math.max(Math.hypot(dx, dy), 0.01);
+            const force = distance * distance / k;
+            displacement[source].x -= dx / distance * force;
+            displacement[source].y -= dy / distance * force;
+            displacement[target].x += dx / distance * force;
+            displacement[target].y += dy / distance * force;
+        });
+
+        nodes.forEach(node => {
+            const position = positions[node.id];
+            const move = displacement[node.id];
+            // Gentle pull to the centre keeps unconnected species on screen
+            move.x += (width / 2 - position.x) * GRAVITY;
+            move.y += (height / 2 - position.y) * GRAVITY;
+            const length = Math.max(Math.hypot(move.x, move.y), 0.01);
+            const limited = Math.min(length, temperature);
+            position.x += move.x / length * limited;
+            position.y += move.y / length * limited;
+        });
+        temperature -= cooling;
+    }
+
+    // Fit the result inside the margins
+    const xs = Object.values(positions).map(position => position.x);
+    const ys = Object.values(positions).map(position => position.y);
+    const minX = Math.min(...xs);
+    const minY = Math.min(...ys);
+    const scaleX = (width - 2 * margin) / Math.max(Math.max(...xs) - minX, 1);
+    const scaleY = (height - 2 * margin) / Math.max(Math.max(...ys) - minY, 1);
+    Object.values(positions).forEach(position => {
+        position.x = margin + (position.x - minX) * scaleX;
+        position.y = margin + (position.y - minY) * scaleY;
+    });
+    return positions;
+};
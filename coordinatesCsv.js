@@ -0,0 +1,121 @@
+// Reading and writing the "X,Y,Plant Name,Layer,Sex" coordinates CSV. Sex is blank except for
+// plants of dioecious species.
+import { parseCSV, toCSVRow } from './csv';
+import { getPlacementError, isInsideGrid } from './gridRules';
+import { SEXES, isDioecious, createPlanting } from './pollination';
+import { findPlantById } from './plantLibrary';
+
+export const COORDINATES_HEADER = ['X', 'Y', 'Plant Name', 'Layer', 'Sex'];
+
+export const coordinatesToCSV = (gridState) => {
+    const lines = [toCSVRow(COORDINATES_HEADER)];
+    Object.entries(gridState).forEach(([key, plants]) => {
+        const [x, y] = key.split(',');
+        plants.forEach(plant => {
+            lines.push(toCSVRow([x, y, plant.name, plant.layer, plant.sex || '']));
+        });
+    });
+    return lines.join('\n') + '\n';
+};
+
+const normalize = (value) => value.trim().toLowerCase();
+
+const findColumn = (header, names) => header.findIndex(h => names.includes(normalize(h)));
+
+// Resolves a cell value to a plant by numeric id or case-insensitive name
+const findPlant = (value, plants) => {
+    const text = value.trim();
+    if (/^\d+$/.test(text)) {
+        const byId = findPlantById(plants, Number(text));
+        if (byId) return byId;
+    }
+    return plants.find(p => normalize(p.name) === normalize(text));
+};
+
+// mode 'replace' starts from an empty grid, 'merge' adds rows on top of gridState.
+// Returns { gridState, imported, errors, warnings }; errors are fatal, warnings list skipped or adjusted rows.
+export const importCoordinatesCSV = (text, { plants, dimensions, excludedCells = {}, gridState, mode = 'replace' }) => {
+    const rows = parseCSV(text);
+    const warnings = [];
+    if (rows.length === 0) {
+        return { gridState, imported: 0, errors: ['The file is empty.'], warnings };
+    }
+
+    const header = rows[0];
+    const columns = {
+        x: findColumn(header, ['x']),
+        y: findColumn(header, ['y']),
+        name: findColumn(header, ['plant name', 'name', 'plant']),
+        id: findColumn(header, ['id', 'plant id']),
+        layer: findColumn(header, ['layer']),
+        sex: findColumn(header, ['sex'])
+    };
+    const missing = ['x', 'y'].filter(column => columns[column] === -1);
+    if (columns.name === -1 && columns.id === -1) missing.push('plant name or id');
+    if (missing.length > 0) {
+        return {
+            gridState,
+            imported: 0,
+            errors: [`Missing column(s): ${missing.join(', ')}. Expected a header like "${COORDINATES_HEADER.join(',')}".`],
+            warnings
+        };
+    }
+
+    const nextState = mode === 'merge' ? { ...gridState } : {};
+    let imported = 0;
+
+    rows.slice(1).forEach((row, index) => {
+        // Header is row 1 in a spreadsheet
+        const rowNumber = index + 2;
+        const cell = (column) => (column === -1 ? '' : (row[column] || ''));
+        const xText = cell(columns.x).trim();
+        const yText = cell(columns.y).trim();
+
+        if (!/^-?\d+$/.test(xText) || !/^-?\d+$/.test(yText)) {
+            warnings.push(`Row ${rowNumber}: skipped, coordinates "${xText},${yText}" are not whole numbers.`);
+            return;
+        }
+        const x = Number(xText);
+        const y = Number(yText);
+        if (!isInsideGrid(x, y, dimensions)) {
+            warnings.push(`Row ${rowNumber}: skipped, (${x},${y}) is outside the ${dimensions.width}x${dimensions.height} grid.`);
+            return;
+        }
+        if (excludedCells[`${x},${y}`]) {
+            warnings.push(`Row ${rowNumber}: skipped, (${x},${y}) is outside the property boundary.`);
+            return;
+        }
+
+        const plant = (columns.id !== -1 && findPlant(cell(columns.id), plants))
+            || (columns.name !== -1 && findPlant(cell(columns.name), plants));
+        if (!plant) {
+            const label = cell(columns.name).trim() || cell(columns.id).trim();
+            warnings.push(`Row ${rowNumber}: skipped, unknown plant "${label}".`);
+            return;
+        }
+
+        const placementError = getPlacementError(nextState, x, y, plant);
+        if (placementError) {
+            warnings.push(`Row ${rowNumber}: skipped, ${placementError}`);
+            return;
+        }
+
+        const layer = cell(columns.layer).trim();
+        if (layer && normalize(layer) !== normalize(plant.layer)) {
+            warnings.push(`Row ${rowNumber}: ${plant.name} is a ${plant.layer} plant, not "${layer}"; placed as ${plant.layer}.`);
+        }
+
+        const sex = normalize(cell(columns.sex));
+        if (sex && !SEXES.includes(sex)) {
+            warnings.push(`Row ${rowNumber}: unknown sex "${cell(columns.sex).trim()}"; placed as female.`);
+        } else if (sex && !isDioecious(plant)) {
+            warnings.push(`Row ${rowNumber}: ${plant.name} does not have separate sexes; "${cell(columns.sex).trim()}" was ignored.`);
+        }
+
+        const key = `${x},${y}`;
+        nextState[key] = [...(nextState[key] || []), createPlanting(plant, SEXES.includes(sex) ? sex : 'female')];
+        imported++;
+    });
+
+    return { gridState: nextState, imported, errors: [], warnings };
+};
@@ -0,0 +1,58 @@
+// Ecological functions present in a design, and support plants around the productive trees.
+//
+// A productive tree (a canopy or sub-canopy plant with a yield) counts as supported by the plants
+// within its mature canopy radius, rounded to whole cells and at least the neighbouring cells.
+import { ECOLOGICAL_ROLES } from './plantValidation';
+import { CELL_FEET } from './propertyBoundary';
+import { getCanopyRadius } from './plantFootprint';
+
+// Roles a fruit or nut tree guild should have close by
+export const SUPPORT_ROLES = ['Nitrogen fixer', 'Dynamic accumulator', 'Pollinator attractor', 'Pest repellent'];
+
+const TREE_LAYERS = ['Canopy', 'Sub-canopy'];
+
+export const isProductiveTree = (plant) => TREE_LAYERS.includes(plant.layer) && plant.yieldPerYear > 0;
+
+// [{ role, plants, species }] for every role, in ECOLOGICAL_ROLES order: planted instances and distinct species
+export const countEcologicalRoles = (gridState) => {
+    const counts = new Map(ECOLOGICAL_ROLES.map(role => [role, { role, plants: 0, species: new Set() }]));
+    Object.values(gridState).forEach(cellPlants => {
+        cellPlants.forEach(plant => {
+            (plant.ecologicalRoles || []).forEach(role => {
+                const count = counts.get(role);
+                if (!count) return;
+                count.plants++;
+                count.species.add(plant.name);
+            });
+        });
+    });
+    return [...counts.values()].map(({ role, plants, species }) => ({ role, plants, species: species.size }));
+};
+
+// Support cells reach as far as the mature canopy, and at least the neighbouring cells
+const getSupportReach = (plant) => Math.max(1, Math.round(getCanopyRadius(plant) / CELL_FEET));
+
+// One entry per productive tree: { key, x, y, plant, supporters: [plant], roles: [role], missing: [role] }
+// where roles are the SUPPORT_ROLES found nearby and missing the rest. Sorted by fewest roles first.
+export const analyzeTreeSupport = (gridState) => {
+    const trees = [];
+    Object.entries(gridState).forEach(([key, cellPlants]) => {
+        const [x, y] = key.split(',').map(Number);
+        cellPlants.forEach((plant, index) => {
+            if (!isProductiveTree(plant)) return;
+            const reach = getSupportReach(plant);
+            const supporters = [];
+            for (let dy = -reach; dy <= reach; dy++) {
+                for (let dx = -reach; dx <= reach; dx++) {
+                    (gridState[`${x + dx},${y + dy}`] || []).forEach((other, otherIndex) => {
+                        if (dx === 0 && dy === 0 && otherIndex === index) return;
+                        if ((other.ecologicalRoles || []).some(role => SUPPORT_ROLES.includes(role))) supporters.push(other);
+                    });
+                }
+            }
+            const roles = SUPPORT_ROLES.filter(role => supporters.some(other => other.ecologicalRoles.includes(role)));
+            trees.push({ key, x, y, plant, supporters, roles, missing: SUPPORT_ROLES.filter(role => !roles.includes(role)) });
+        });
+    });
+    return trees.sort((a, b) => a.roles.length - b.roles.length || a.y - b.y || a.x - b.x);
+};
@@ -0,0 +1,299 @@
+// Canvas drawing for the planner grid, its minimap and full-size exports.
+import { getVisibleCellRange } from './viewport';
+import { CELL_FEET } from './propertyBoundary';
+import { getCanopyRadius, getGrowthFactor } from './plantFootprint';
+import { getLifeStage } from './growth';
+import { getLightAt } from './shadeModel';
+
+export const CELL_SIZE = 30;
+
+// Below this many screen pixels per cell, grid lines and symbols are skipped
+const MIN_DETAIL_CELL_PX = 6;
+
+export const getPlantRepresentation = (plant) => {
+    const baseSize = CELL_SIZE / 3;
+    const layerConfig = {
+        'Canopy': { color: '#228B22', sizeFactor: 2.5 },
+        'Sub-canopy': { color: '#32CD32', sizeFactor: 2 },
+        'Shrub': { color: '#90EE90', sizeFactor: 1.5 },
+        'Herbaceous': { color: '#98FB98', sizeFactor: 1 },
+        'Ground Cover': { color: '#00FA9A', sizeFactor: 0.8 },
+        'Vine': { color: '#3CB371', sizeFactor: 1.2 },
+        'Root': { color: '#964B00', sizeFactor: 0.7 }
+    };
+
+    const config = layerConfig[plant.layer] || { color: '#000000', sizeFactor: 1 };
+    return {
+        color: config.color,
+        size: baseSize * config.sizeFactor
+    };
+};
+
+// Timeline mode passes the forest age: plants are drawn at their size that year, and faded while declining
+const drawPlants = (ctx, plants, x, y, showSymbols, timelineAge = null) => {
+    plants.forEach((plant, index) => {
+        const representation = getPlantRepresentation(plant);
+        const { color } = representation;
+        const size = timelineAge === null
+            ? representation.size
+            : representation.size * (0.4 + 0.6 * getGrowthFactor(plant, timelineAge));
+        ctx.globalAlpha = timelineAge !== null && getLifeStage(plant, timelineAge) === 'declining' ? 0.45 : 1;
+        const cx = x * CELL_SIZE + CELL_SIZE / 2;
+        const cy = y * CELL_SIZE + CELL_SIZE / 2 + index * 5;
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.arc(cx, cy, size, 0, 2 * Math.PI);
+        ctx.fill();
+
+        if (showSymbols) {
+            ctx.fillStyle = 'white';
+            ctx.font = `${size}px Arial`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(plant.symbol, cx, cy);
+            if (plant.sex) {
+                // Sex of dioecious plants, at the top right of the disc
+                ctx.fillStyle = '#2c3e50';
+                ctx.font = `${CELL_SIZE / 4}px Arial`;
+                ctx.fillText(plant.sex === 'male' ? '\u2642' : '\u2640', cx + size * 0.8, cy - size * 0.8);
+            }
+        }
+    });
+    ctx.globalAlpha = 1;
+};
+
+const EXCLUDED_COLOR = '#d5d8dc';
+
+const CANOPY_STYLES = [
+    { layer: 'Canopy', fill: 'rgba(34, 139, 34, 0.18)', stroke: 'rgba(34, 139, 34, 0.6)' },
+    { layer: 'Sub-canopy', fill: 'rgba(50, 205, 50, 0.15)', stroke: 'rgba(50, 205, 50, 0.55)' }
+];
+
+// Crowns are drawn for every planted cell whose disc reaches into the visible range,
+// so trees just off-screen still shade the cells at the viewport edge
+const drawCanopies = (ctx, gridState, forestAge, range, zoom) => {
+    const entries = Object.entries(gridState);
+    CANOPY_STYLES.forEach(({ layer, fill, stroke }) => {
+        ctx.fillStyle = fill;
+        ctx.strokeStyle = stroke;
+        ctx.lineWidth = 1 / zoom;
+        entries.forEach(([key, plants]) => {
+            const [x, y] = key.split(',').map(Number);
+            plants.filter(plant => plant.layer === layer).forEach(plant => {
+                const radiusCells = getCanopyRadius(plant, forestAge) / CELL_FEET;
+                if (x + radiusCells < range.minX - 1 || x - radiusCells > range.maxX + 1
+                    || y + radiusCells < range.minY - 1 || y - radiusCells > range.maxY + 1) {
+                    return;
+                }
+                ctx.beginPath();
+                ctx.arc((x + 0.5) * CELL_SIZE, (y + 0.5) * CELL_SIZE, radiusCells * CELL_SIZE, 0, 2 * Math.PI);
+                ctx.fill();
+                ctx.stroke();
+            });
+        });
+    });
+};
+
+// Ground-level light from full sun (transparent) to deep shade (blue)
+const drawShadeMap = (ctx, shadeMap, excludedCells, range) => {
+    for (let y = range.minY; y <= range.maxY; y++) {
+        for (let x = range.minX; x <= range.maxX; x++) {
+            if (excludedCells[`${x},${y}`]) continue;
+            const shade = 1 - getLightAt(shadeMap, x, y);
+            if (shade <= 0) continue;
+            ctx.fillStyle = `rgba(41, 72, 156, ${(shade * 0.6).toFixed(2)})`;
+            ctx.fillRect(x * CELL_SIZE, y * CELL_SIZE, CELL_SIZE, CELL_SIZE);
+        }
+    }
+};
+
+const NEIGHBOURHOOD_COLORS = {
+    good: '#27ae60',
+    mixed: '#f39c12',
+    harmful: '#c0392b'
+};
+
+// Outlines planted cells by how well their plants get on with the neighbours around them
+const drawCompanionHighlights = (ctx, locations, range, zoom) => {
+    ctx.lineWidth = 3 / zoom;
+    const inset = 1.5 / zoom;
+    Object.values(locations).forEach(({ x, y, status }) => {
+        const color = NEIGHBOURHOOD_COLORS[status];
+        if (!color || x < range.minX || x > range.maxX || y < range.minY || y > range.maxY) return;
+        ctx.strokeStyle = color;
+        ctx.strokeRect(x * CELL_SIZE + inset, y * CELL_SIZE + inset, CELL_SIZE - 2 * inset, CELL_SIZE - 2 * inset);
+    });
+};
+
+const tracePolygon = (ctx, points, close) => {
+    ctx.beginPath();
+    points.forEach((point, index) => {
+        const px = point.x * CELL_SIZE;
+        const py = point.y * CELL_SIZE;
+        if (index === 0) ctx.moveTo(px, py);
+        else ctx.lineTo(px, py);
+    });
+    if (close) ctx.closePath();
+};
+
+const drawBoundary = (ctx, boundary, draftBoundary, zoom) => {
+    if (boundary.length >= 3) {
+        ctx.strokeStyle = '#8e44ad';
+        ctx.lineWidth = 3 / zoom;
+        tracePolygon(ctx, boundary, true);
+        ctx.stroke();
+    }
+    if (draftBoundary.length > 0) {
+        ctx.strokeStyle = '#e67e22';
+        ctx.lineWidth = 2 / zoom;
+        ctx.setLineDash([6 / zoom, 4 / zoom]);
+        tracePolygon(ctx, draftBoundary, false);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.fillStyle = '#e67e22';
+        draftBoundary.forEach(point => {
+            ctx.beginPath();
+            ctx.arc(point.x * CELL_SIZE, point.y * CELL_SIZE, 4 / zoom, 0, 2 * Math.PI);
+            ctx.fill();
+        });
+    }
+};
+
+// Draws only the cells inside the viewport, so cost follows screen size rather than property size
+export const drawGridView = (ctx, {
+    gridState,
+    dimensions,
+    excludedCells = {},
+    boundary = [],
+    draftBoundary = [],
+    forestAge,
+    shadeMap = null,
+    companionLocations = null,
+    selection = null,
+    timeline = false,
+    view,
+    width,
+    height
+}) => {
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillStyle = '#f7f9f7';
+    ctx.fillRect(0, 0, width, height);
+    ctx.setTransform(view.zoom, 0, 0, view.zoom, -view.offsetX * view.zoom, -view.offsetY * view.zoom);
+
+    const extentX = dimensions.width * CELL_SIZE;
+    const extentY = dimensions.height * CELL_SIZE;
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, extentX, extentY);
+
+    const range = getVisibleCellRange(view, width, height, CELL_SIZE, dimensions.width, dimensions.height);
+
+    ctx.fillStyle = EXCLUDED_COLOR;
+    for (let y = range.minY; y <= range.maxY; y++) {
+        for (let x = range.minX; x <= range.maxX; x++) {
+            if (excludedCells[`${x},${y}`]) {
+                ctx.fillRect(x * CELL_SIZE, y * CELL_SIZE, CELL_SIZE, CELL_SIZE);
+            }
+        }
+    }
+
+    if (shadeMap) drawShadeMap(ctx, shadeMap, excludedCells, range);
+
+    const detailed = CELL_SIZE * view.zoom >= MIN_DETAIL_CELL_PX;
+
+    if (detailed) {
+        ctx.strokeStyle = '#ccc';
+        ctx.lineWidth = 1 / view.zoom;
+        ctx.beginPath();
+        for (let i = range.minX; i <= range.maxX + 1; i++) {
+            ctx.moveTo(i * CELL_SIZE, range.minY * CELL_SIZE);
+            ctx.lineTo(i * CELL_SIZE, (range.maxY + 1) * CELL_SIZE);
+        }
+        for (let j = range.minY; j <= range.maxY + 1; j++) {
+            ctx.moveTo(range.minX * CELL_SIZE, j * CELL_SIZE);
+            ctx.lineTo((range.maxX + 1) * CELL_SIZE, j * CELL_SIZE);
+        }
+        ctx.stroke();
+    }
+
+    drawCanopies(ctx, gridState, forestAge, range, view.zoom);
+
+    for (let y = range.minY; y <= range.maxY; y++) {
+        for (let x = range.minX; x <= range.maxX; x++) {
+            const plants = gridState[`${x},${y}`];
+            if (plants) drawPlants(ctx, plants, x, y, detailed, timeline ? forestAge : null);
+        }
+    }
+
+    if (companionLocations && detailed) drawCompanionHighlights(ctx, companionLocations, range, view.zoom);
+
+    ctx.strokeStyle = '#7f8c8d';
+    ctx.lineWidth = 2 / view.zoom;
+    ctx.strokeRect(0, 0, extentX, extentY);
+    drawBoundary(ctx, boundary, draftBoundary, view.zoom);
+    if (selection) {
+        // Area being picked, e.g. for a guild; corners are inclusive cells
+        ctx.strokeStyle = '#2980b9';
+        ctx.lineWidth = 2 / view.zoom;
+        ctx.setLineDash([6 / view.zoom, 4 / view.zoom]);
+        ctx.strokeRect(
+            selection.minX * CELL_SIZE,
+            selection.minY * CELL_SIZE,
+            (selection.maxX - selection.minX + 1) * CELL_SIZE,
+            (selection.maxY - selection.minY + 1) * CELL_SIZE
+        );
+        ctx.setLineDash([]);
+    }
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+};
+
+// Whole property at a glance, with the visible region outlined
+export const drawMinimap = (ctx, { gridState, dimensions, excludedCells = {}, view, viewportWidth, viewportHeight, width, height }) => {
+    const scale = Math.min(width / dimensions.width, height / dimensions.height) / CELL_SIZE;
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, dimensions.width * CELL_SIZE * scale, dimensions.height * CELL_SIZE * scale);
+
+    const cellPx = Math.max(CELL_SIZE * scale, 1);
+    ctx.fillStyle = EXCLUDED_COLOR;
+    Object.keys(excludedCells).forEach(key => {
+        const [x, y] = key.split(',').map(Number);
+        ctx.fillRect(x * CELL_SIZE * scale, y * CELL_SIZE * scale, cellPx, cellPx);
+    });
+
+    Object.entries(gridState).forEach(([key, plants]) => {
+        const [x, y] = key.split(',').map(Number);
+        // One swatch per occupied cell, coloured by its first plant
+        ctx.fillStyle = getPlantRepresentation(plants[0]).color;
+        ctx.fillRect(x * CELL_SIZE * scale, y * CELL_SIZE * scale, cellPx, cellPx);
+    });
+
+    ctx.strokeStyle = '#e74c3c';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(
+        view.offsetX * scale,
+        view.offsetY * scale,
+        viewportWidth / view.zoom * scale,
+        viewportHeight / view.zoom * scale
+    );
+    return scale;
+};
+
+// Renders the whole grid at 1:1 onto a new canvas, for image exports
+export const renderFullGrid = ({ gridState, dimensions, excludedCells, boundary, forestAge }) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = dimensions.width * CELL_SIZE;
+    canvas.height = dimensions.height * CELL_SIZE;
+    drawGridView(canvas.getContext('2d'), {
+        gridState,
+        dimensions,
+        excludedCells,
+        boundary,
+        forestAge,
+        view: { zoom: 1, offsetX: 0, offsetY: 0 },
+        width: canvas.width,
+        height: canvas.height
+    });
+    return canvas;
+};
@@ -0,0 +1,69 @@
+// Placement rules shared by every tool that puts plants on the grid.
+//
+// Grid dimensions are { width, height } in cells; excludedCells maps "x,y" keys that lie
+// outside the property boundary to true.
+import { CELL_FEET } from './propertyBoundary';
+import { cellDistance } from './plantFootprint';
+
+// Maximum plants of one layer in a single cell; unlisted layers allow 7
+export const LAYER_CAPACITY = {
+    'Canopy': 1,
+    'Shrub': 4,
+    'Root': 7
+};
+
+export const getLayerCapacity = (layer) => LAYER_CAPACITY[layer] || 7;
+
+export const canPlacePlant = (cellPlants, plant) => {
+    const sameLayer = cellPlants.filter(p => p.layer === plant.layer).length;
+    return sameLayer < getLayerCapacity(plant.layer);
+};
+
+export const isInsideGrid = (x, y, dimensions) => x >= 0 && y >= 0 && x < dimensions.width && y < dimensions.height;
+
+export const isUsableCell = (x, y, dimensions, excludedCells = {}) => isInsideGrid(x, y, dimensions) && !excludedCells[`${x},${y}`];
+
+// Keeps only the keys of a cell map for which keep(x, y) holds; returns the same object when nothing is dropped
+const filterCells = (cells, keep) => {
+    const keys = Object.keys(cells);
+    const kept = keys.filter(key => {
+        const [x, y] = key.split(',').map(Number);
+        return keep(x, y);
+    });
+    if (kept.length === keys.length) return cells;
+    return Object.fromEntries(kept.map(key => [key, cells[key]]));
+};
+
+// Drops cells that no longer fit after a resize
+export const trimGridToSize = (cells, dimensions) => filterCells(cells, (x, y) => isInsideGrid(x, y, dimensions));
+
+// Drops plants standing on cells outside the property boundary
+export const removeExcludedPlants = (gridState, excludedCells) => filterCells(gridState, (x, y) => !excludedCells[`${x},${y}`]);
+
+// Canopy trees may not be planted where their mature crowns would overlap another canopy tree's
+export const findCanopyConflict = (gridState, x, y, plant) => {
+    if (plant.layer !== 'Canopy') return null;
+    const spread = plant.matureSpread || CELL_FEET;
+    for (const [key, plants] of Object.entries(gridState)) {
+        const neighbour = plants.find(p => p.layer === 'Canopy');
+        if (!neighbour) continue;
+        const [cx, cy] = key.split(',').map(Number);
+        if (cellDistance(x, y, cx, cy) < (spread + (neighbour.matureSpread || CELL_FEET)) / 2) {
+            return { plant: neighbour, x: cx, y: cy };
+        }
+    }
+    return null;
+};
+
+// Why `plant` cannot go into cell (x, y), or null when it can
+export const getPlacementError = (gridState, x, y, plant) => {
+    const cellPlants = gridState[`${x},${y}`] || [];
+    if (!canPlacePlant(cellPlants, plant)) {
+        return `(${x},${y}) already holds ${getLayerCapacity(plant.layer)} ${plant.layer} plant(s).`;
+    }
+    const conflict = findCanopyConflict(gridState, x, y, plant);
+    if (conflict) {
+        return `${plant.name} is too close to the ${conflict.plant.name} at (${conflict.x},${conflict.y}); their mature canopies would overlap.`;
+    }
+    return null;
+};
@@ -0,0 +1,61 @@
+// Plant life cycles over the years of a design: establishment, cropping, decline and removal.
+//
+// Plant records have `lifespan`, the years a planting lives or keeps cropping before it dies or is
+// cleared. Short-lived pioneers such as Papaya and Banana nurse the young forest and are gone by
+// the time the trees close over; long-lived trees outlast any plan. A plant's crop ramps up until
+// its maturity age, holds, and falls away over the last quarter of its life.
+
+export const MAX_FOREST_AGE = 50;
+
+// Plants that live this long or less are treated as pioneers
+export const PIONEER_LIFESPAN = 10;
+
+const DECLINE_SHARE = 0.25;
+
+export const isPioneer = (plant) => plant.lifespan <= PIONEER_LIFESPAN;
+
+export const isStanding = (plant, forestAge) => forestAge < plant.lifespan;
+
+const getDeclineStart = (plant) => plant.lifespan * (1 - DECLINE_SHARE);
+
+// 'establishing', 'productive', 'declining' or 'gone'
+export const getLifeStage = (plant, forestAge) => {
+    if (!isStanding(plant, forestAge)) return 'gone';
+    if (forestAge >= getDeclineStart(plant)) return 'declining';
+    return forestAge < plant.maturityAge ? 'establishing' : 'productive';
+};
+
+// Share of the full annual crop a plant gives at `forestAge`, from 0 to 1
+export const getYieldFactor = (plant, forestAge) => {
+    if (!isStanding(plant, forestAge)) return 0;
+    const ramp = Math.min(1, forestAge / plant.maturityAge);
+    const declineStart = getDeclineStart(plant);
+    if (forestAge <= declineStart) return ramp;
+    return ramp * (plant.lifespan - forestAge) / (plant.lifespan - declineStart);
+};
+
+// The design as it stands at `forestAge`: plants past their lifespan are removed.
+// Returns the same object when every plant is still standing.
+export const getStandingPlants = (gridState, forestAge) => {
+    let changed = false;
+    const standing = {};
+    Object.entries(gridState).forEach(([key, cellPlants]) => {
+        const alive = cellPlants.filter(plant => isStanding(plant, forestAge));
+        if (alive.length !== cellPlants.length) changed = true;
+        if (alive.length > 0) standing[key] = alive;
+    });
+    return changed ? standing : gridState;
+};
+
+// [{ year, name, count, pioneer }] for every species that dies out within MAX_FOREST_AGE, soonest first
+export const listRemovals = (gridState) => {
+    const removals = new Map();
+    Object.values(gridState).flat().forEach(plant => {
+        if (plant.lifespan > MAX_FOREST_AGE) return;
+        const id = `${plant.lifespan}|${plant.name}`;
+        const removal = removals.get(id) || { year: plant.lifespan, name: plant.name, count: 0, pioneer: isPioneer(plant) };
+        removal.count++;
+        removals.set(id, removal);
+    });
+    return [...removals.values()].sort((a, b) => a.year - b.year || a.name.localeCompare(b.name));
+};
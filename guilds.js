@@ -0,0 +1,164 @@
+// Guild templates: multi-cell plant arrangements that can be stamped onto the grid in one step.
+//
+// A guild is { id, name, cells: [{ dx, dy, plants: [id | { id, sex }] }] } with offsets relative to
+// the anchor cell, which lands on the clicked cell when stamped. Plant entries are written like the
+// project file's cell plants. Built-in guilds (marked `builtin: true`) are generated from the plant
+// records; the user's own guilds are saved from the canvas and kept in localStorage:
+//
+// { "version": 1, "guilds": [{ "id": "g1k2...", "name": "Apple corner", "cells": [...] }] }
+import { readJSON, writeJSON } from './projectStorage';
+import { getRelation } from './companionAnalysis';
+import { SUPPORT_ROLES, isProductiveTree } from './ecologicalRoles';
+import { canPlacePlant, getPlacementError, isUsableCell } from './gridRules';
+import { createPlanting } from './pollination';
+import { findPlantById } from './plantLibrary';
+
+const GUILDS_KEY = 'foodForestPlanner.guilds';
+const GUILDS_VERSION = 1;
+
+// Low layers share the anchor cell with the tree; the rest go round it, nearest cells first
+const UNDERSTORY_LAYERS = ['Herbaceous', 'Ground Cover', 'Root'];
+const RING_OFFSETS = [[1, 0], [0, 1], [-1, 0], [0, -1], [1, 1], [-1, 1], [1, -1], [-1, -1]];
+
+const toEntry = (plant) => (plant.sex ? { id: plant.id, sex: plant.sex } : plant.id);
+
+// Places members around `centre` at (0, 0); members that fit nowhere are left out
+const arrangeGuild = (centre, members) => {
+    const cells = new Map([['0,0', { dx: 0, dy: 0, plants: [centre] }]]);
+    let ring = 0;
+    members.forEach(plant => {
+        const anchor = cells.get('0,0');
+        if (UNDERSTORY_LAYERS.includes(plant.layer) && canPlacePlant(anchor.plants, plant)) {
+            anchor.plants.push(plant);
+        } else if (ring < RING_OFFSETS.length) {
+            const [dx, dy] = RING_OFFSETS[ring++];
+            cells.set(`${dx},${dy}`, { dx, dy, plants: [plant] });
+        }
+    });
+    return [...cells.values()].map(cell => ({ ...cell, plants: cell.plants.map(toEntry) }));
+};
+
+// A guild around a productive tree: its companions and theirs (with plant records, no canopy trees
+// and nothing harmful to another member), then one plant for each support role still missing.
+export const buildCompanionGuild = (centre, plants) => {
+    const byName = new Map(plants.map(plant => [plant.name, plant]));
+    const members = [];
+    const fits = (plant) => (
+        plant.layer !== 'Canopy'
+        && plant !== centre
+        && !members.includes(plant)
+        && [centre, ...members].every(member => getRelation(member, plant).relation !== 'harmful')
+    );
+
+    const companions = centre.companions.map(name => byName.get(name)).filter(Boolean);
+    [...companions, ...companions.flatMap(plant => plant.companions.map(name => byName.get(name)).filter(Boolean))]
+        .forEach(plant => {
+            if (fits(plant)) members.push(plant);
+        });
+
+    SUPPORT_ROLES.forEach(role => {
+        if (members.some(member => (member.ecologicalRoles || []).includes(role))) return;
+        const support = plants.find(plant => plant.climate === centre.climate && (plant.ecologicalRoles || []).includes(role) && fits(plant));
+        if (support) members.push(support);
+    });
+
+    return {
+        id: `builtin-${centre.id}`,
+        name: `${centre.name} Guild`,
+        builtin: true,
+        cells: arrangeGuild(createPlanting(centre), members.map(plant => createPlanting(plant)))
+    };
+};
+
+// One guild for every productive canopy tree that gathers at least two members
+export const getBuiltinGuilds = (plants) => {
+    return plants
+        .filter(plant => plant.layer === 'Canopy' && isProductiveTree(plant))
+        .map(plant => buildCompanionGuild(plant, plants))
+        .filter(guild => guild.cells.reduce((count, cell) => count + cell.plants.length, 0) >= 3);
+};
+
+// Plants in the rectangle between two corner cells. The anchor is the first canopy tree found
+// (reading row by row), or the top-left cell when there is none. Returns null for an empty area.
+export const createGuildFromArea = (gridState, name, corner, opposite) => {
+    const minX = Math.min(corner.x, opposite.x);
+    const maxX = Math.max(corner.x, opposite.x);
+    const minY = Math.min(corner.y, opposite.y);
+    const maxY = Math.max(corner.y, opposite.y);
+    const found = [];
+    for (let y = minY; y <= maxY; y++) {
+        for (let x = minX; x <= maxX; x++) {
+            const plants = gridState[`${x},${y}`];
+            if (plants && plants.length > 0) found.push({ x, y, plants });
+        }
+    }
+    if (found.length === 0) return null;
+    const anchor = found.find(cell => cell.plants.some(plant => plant.layer === 'Canopy')) || { x: minX, y: minY };
+    return {
+        id: Date.now().toString(36) + Math.random().toString(36).slice(2, 7),
+        name,
+        cells: found.map(({ x, y, plants }) => ({ dx: x - anchor.x, dy: y - anchor.y, plants: plants.map(toEntry) }))
+    };
+};
+
+export const countGuildPlants = (guild) => guild.cells.reduce((count, cell) => count + cell.plants.length, 0);
+
+// Distinct member names in placement order
+export const describeGuild = (guild, plants) => {
+    const names = guild.cells.flatMap(cell => cell.plants.map(entry => {
+        const id = Number.isInteger(entry) ? entry : entry.id;
+        const plant = findPlantById(plants, id);
+        return plant ? plant.name : `unknown plant ${id}`;
+    }));
+    return [...new Set(names)];
+};
+
+// Places every plant the rules allow with the anchor on (x, y).
+// Returns { gridState, placed, skipped: [reason] }; gridState is unchanged when nothing fits.
+export const stampGuild = (gridState, guild, x, y, { plants, dimensions, excludedCells = {} }) => {
+    let nextState = gridState;
+    let placed = 0;
+    const skipped = [];
+    guild.cells.forEach(({ dx, dy, plants: entries }) => {
+        const cx = x + dx;
+        const cy = y + dy;
+        entries.forEach(entry => {
+            const id = Number.isInteger(entry) ? entry : entry.id;
+            const record = findPlantById(plants, id);
+            if (!record) {
+                skipped.push(`Plant id ${id} is no longer in the plant library.`);
+                return;
+            }
+            if (!isUsableCell(cx, cy, dimensions, excludedCells)) {
+                skipped.push(`${record.name}: (${cx},${cy}) is outside the property.`);
+                return;
+            }
+            const error = getPlacementError(nextState, cx, cy, record);
+            if (error) {
+                skipped.push(`${record.name}: ${error}`);
+                return;
+            }
+            const key = `${cx},${cy}`;
+            const planting = Number.isInteger(entry) ? createPlanting(record) : createPlanting(record, entry.sex);
+            nextState = { ...nextState, [key]: [...(nextState[key] || []), planting] };
+            placed++;
+        });
+    });
+    return { gridState: nextState, placed, skipped };
+};
+
+export const loadGuilds = () => {
+    const stored = readJSON(GUILDS_KEY, null);
+    return stored && Array.isArray(stored.guilds) ? stored.guilds : [];
+};
+
+// Both return the updated list, or null when it could not be stored
+export const saveGuild = (guild) => {
+    const guilds = [...loadGuilds().filter(g => g.id !== guild.id), guild];
+    return writeJSON(GUILDS_KEY, { version: GUILDS_VERSION, guilds }) ? guilds : null;
+};
+
+export const deleteGuild = (id) => {
+    const guilds = loadGuilds().filter(guild => guild.id !== id);
+    return writeJSON(GUILDS_KEY, { version: GUILDS_VERSION, guilds }) ? guilds : null;
+};
@@ -0,0 +1,54 @@
+// Undo/redo history of design snapshots.
+//
+// Every entry holds the state *before* an edit, so one entry undoes one user action however
+// many cells it touched (a CSV import or a resize is a single entry). Rapid repeats of the same
+// action, such as typing a property size, can be coalesced into the entry that started them.
+
+export const HISTORY_LIMIT = 200;
+const COALESCE_MS = 1000;
+
+export const createHistory = () => ({ past: [], future: [] });
+
+export const recordHistory = (history, snapshot, label, { coalesce = false } = {}) => {
+    const now = Date.now();
+    const last = history.past[history.past.length - 1];
+    if (coalesce && last && last.label === label && now - last.time < COALESCE_MS) {
+        const past = [...history.past.slice(0, -1), { ...last, time: now }];
+        return { past, future: [] };
+    }
+    const past = [...history.past, { label, snapshot, time: now }].slice(-HISTORY_LIMIT);
+    return { past, future: [] };
+};
+
+export const canUndo = (history) => history.past.length > 0;
+
+export const canRedo = (history) => history.future.length > 0;
+
+export const undoLabel = (history) => (canUndo(history) ? history.past[history.past.length - 1].label : null);
+
+export const redoLabel = (history) => (canRedo(history) ? history.future[history.future.length - 1].label : null);
+
+// Returns { history, snapshot } with the snapshot to restore, or null when there is nothing to undo
+export const undoHistory = (history, currentSnapshot) => {
+    if (!canUndo(history)) return null;
+    const entry = history.past[history.past.length - 1];
+    return {
+        history: {
+            past: history.past.slice(0, -1),
+            future: [...history.future, { label: entry.label, snapshot: currentSnapshot, time: Date.now() }]
+        },
+        snapshot: entry.snapshot
+    };
+};
+
+export const redoHistory = (history, currentSnapshot) => {
+    if (!canRedo(history)) return null;
+    const entry = history.future[history.future.length - 1];
+    return {
+        history: {
+            past: [...history.past, { label: entry.label, snapshot: currentSnapshot, time: Date.now() }],
+            future: history.future.slice(0, -1)
+        },
+        snapshot: entry.snapshot
+    };
+};
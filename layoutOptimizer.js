@@ -0,0 +1,195 @@
+// Automatic layout search: simulated annealing over plant placements to maximise the weighted
+// design score (see scoring.js).
+//
+// Each step proposes one change to the layout: add, remove, move or swap a plant. Better layouts
+// are always kept; a worse one is kept with probability exp(change / temperature), and the
+// temperature falls steadily so the search settles on a good layout. Every proposal obeys the
+// placement rules (layer capacity and canopy spacing), puts no plant next to an antagonist (in its
+// own or a neighbouring cell), keeps one plant of each must-include species and stays within the
+// plant budget.
+//
+// Constraints are { mustInclude: [plant id], budget: maximum number of plants, layers: [layer] },
+// where an empty layers list allows every layer.
+import { findAntagonisms } from './companionAnalysis';
+import { getPlacementError, isUsableCell } from './gridRules';
+import { SEXES, analyzePollination, createPlanting } from './pollination';
+import { calculateScores, combineScores } from './scoring';
+import { getSuitability } from './siteClimate';
+
+export const DEFAULT_ITERATIONS = 5000;
+export const MAX_ITERATIONS = 50000;
+
+const START_TEMPERATURE = 20;
+const END_TEMPERATURE = 0.1;
+const PROGRESS_INTERVAL = 100;
+const MUST_INCLUDE_ATTEMPTS = 200;
+
+const MOVES = ['add', 'remove', 'move', 'swap'];
+
+const randomItem = (items) => items[Math.floor(Math.random() * items.length)];
+
+const addPlant = (gridState, key, plant) => ({ ...gridState, [key]: [...(gridState[key] || []), plant] });
+
+const removePlant = (gridState, key, index) => {
+    const remaining = gridState[key].filter((_, i) => i !== index);
+    if (remaining.length > 0) return { ...gridState, [key]: remaining };
+    const { [key]: _, ...rest } = gridState;
+    return rest;
+};
+
+const listPlacements = (gridState) => Object.entries(gridState).flatMap(([key, cellPlants]) => {
+    const [x, y] = key.split(',').map(Number);
+    return cellPlants.map((plant, index) => ({ key, x, y, index, plant }));
+});
+
+const hasAntagonistNearby = (gridState, x, y, plant) => {
+    for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+            const cellPlants = gridState[`${x + dx},${y + dy}`] || [];
+            if (cellPlants.some(other => findAntagonisms(plant, other).length > 0)) return true;
+        }
+    }
+    return false;
+};
+
+const fits = (gridState, x, y, plant) => !getPlacementError(gridState, x, y, plant) && !hasAntagonistNearby(gridState, x, y, plant);
+
+// Plants the search may add: suitable for the site and in a preferred layer, plus every must-include plant
+export const getCandidatePlants = (plants, site, constraints) => {
+    return plants.filter(plant => constraints.mustInclude.includes(plant.id) || (
+        getSuitability(plant, site).suitability !== 'unsuitable'
+        && (constraints.layers.length === 0 || constraints.layers.includes(plant.layer))
+    ));
+};
+
+// Dioecious plants get a random sex so the search can pair females with males
+const plantRandomly = (plant) => createPlanting(plant, randomItem(SEXES));
+
+// Returns the changed layout, or null when the proposed change breaks a rule
+const propose = (gridState, context) => {
+    const placements = listPlacements(gridState);
+    const move = placements.length === 0 ? 'add' : randomItem(MOVES);
+    const cell = randomItem(context.cells);
+    const placement = randomItem(placements);
+    // The last plant of a must-include species may move but not go
+    const isRequired = placement && context.mustInclude.includes(placement.plant.id)
+        && placements.filter(other => other.plant.id === placement.plant.id).length === 1;
+
+    if (move === 'add') {
+        if (placements.length >= context.budget) return null;
+        const plant = randomItem(context.candidates);
+        return fits(gridState, cell.x, cell.y, plant) ? addPlant(gridState, cell.key, plantRandomly(plant)) : null;
+    }
+    if (move === 'remove') {
+        return isRequired ? null : removePlant(gridState, placement.key, placement.index);
+    }
+    const without = removePlant(gridState, placement.key, placement.index);
+    if (move === 'move') {
+        return fits(without, cell.x, cell.y, placement.plant) ? addPlant(without, cell.key, placement.plant) : null;
+    }
+    // Swap: another species of the same layer in the same cell
+    if (isRequired) return null;
+    const replacement = randomItem(context.candidates.filter(plant => plant.layer === placement.plant.layer && plant.id !== placement.plant.id));
+    if (!replacement || !fits(without, placement.x, placement.y, replacement)) return null;
+    return addPlant(without, placement.key, plantRandomly(replacement));
+};
+
+// Removes random plants until the layout is within the budget. The last plant of a must-include
+// species goes only when nothing else is left to remove.
+const trimToBudget = (gridState, budget, mustInclude) => {
+    let nextState = gridState;
+    let placements = listPlacements(nextState);
+    while (placements.length > budget) {
+        const spare = placements.filter(placement => !mustInclude.includes(placement.plant.id)
+            || placements.filter(other => other.plant.id === placement.plant.id).length > 1);
+        const placement = randomItem(spare.length > 0 ? spare : placements);
+        nextState = removePlant(nextState, placement.key, placement.index);
+        placements = listPlacements(nextState);
+    }
+    return nextState;
+};
+
+// Places one plant of each must-include species that is not on the grid yet, up to the budget.
+// Returns { gridState, missing: [plant], overBudget: [plant] } with the plants that found no legal
+// cell and those left out because the budget was already reached.
+const placeRequiredPlants = (gridState, required, cells, budget) => {
+    let nextState = gridState;
+    const missing = [];
+    const overBudget = [];
+    required.forEach(plant => {
+        const placements = listPlacements(nextState);
+        if (placements.some(placement => placement.plant.id === plant.id)) return;
+        if (placements.length >= budget) {
+            overBudget.push(plant);
+            return;
+        }
+        for (let attempt = 0; attempt < MUST_INCLUDE_ATTEMPTS; attempt++) {
+            const cell = randomItem(cells);
+            if (fits(nextState, cell.x, cell.y, plant)) {
+                nextState = addPlant(nextState, cell.key, plantRandomly(plant));
+                return;
+            }
+        }
+        missing.push(plant);
+    });
+    return { gridState: nextState, missing, overBudget };
+};
+
+// Searches from `gridState` (pass {} to start from an empty grid), scoring with `scoringModel`. A
+// starting layout over the budget is trimmed to it first. `onProgress` is called every few hundred
+// steps with { iteration, iterations, objective, scores } of the best layout so far.
+// Returns { gridState, scores, objective, missing: [plant], overBudget: [plant] } for the best layout
+// found, with the must-include plants that could not be placed (see placeRequiredPlants).
+export const optimizeLayout = ({
+    gridState,
+    plants,
+    site,
+    dimensions,
+    excludedCells,
+    forestAge,
+    pollinationDistance,
+    scoringModel,
+    weights,
+    constraints,
+    iterations = DEFAULT_ITERATIONS,
+    onProgress = () => {}
+}) => {
+    const cells = [];
+    for (let y = 0; y < dimensions.height; y++) {
+        for (let x = 0; x < dimensions.width; x++) {
+            if (isUsableCell(x, y, dimensions, excludedCells)) cells.push({ key: `${x},${y}`, x, y });
+        }
+    }
+    const candidates = getCandidatePlants(plants, site, constraints);
+    const evaluate = (layout) => {
+        const { plantings } = analyzePollination(layout, pollinationDistance);
+        const scores = calculateScores(layout, plantings, forestAge, scoringModel);
+        return { scores, objective: combineScores(scores, weights) };
+    };
+
+    const start = trimToBudget(gridState, constraints.budget, constraints.mustInclude);
+    if (cells.length === 0 || candidates.length === 0) {
+        return { gridState: start, ...evaluate(start), missing: [], overBudget: [] };
+    }
+
+    const required = plants.filter(plant => constraints.mustInclude.includes(plant.id));
+    const seeded = placeRequiredPlants(start, required, cells, constraints.budget);
+    const context = { cells, candidates, budget: constraints.budget, mustInclude: constraints.mustInclude };
+
+    let current = { gridState: seeded.gridState, ...evaluate(seeded.gridState) };
+    let best = current;
+    for (let iteration = 1; iteration <= iterations; iteration++) {
+        const temperature = START_TEMPERATURE * Math.pow(END_TEMPERATURE / START_TEMPERATURE, iteration / iterations);
+        const layout = propose(current.gridState, context);
+        if (layout) {
+            const next = { gridState: layout, ...evaluate(layout) };
+            const change = next.objective - current.objective;
+            if (change >= 0 || Math.random() < Math.exp(change / temperature)) current = next;
+            if (current.objective > best.objective) best = current;
+        }
+        if (iteration % PROGRESS_INTERVAL === 0 || iteration === iterations) {
+            onProgress({ iteration, iterations, objective: best.objective, scores: best.scores });
+        }
+    }
+    return { ...best, missing: seeded.missing, overBudget: seeded.overBudget };
+};
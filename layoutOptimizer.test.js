@@ -0,0 +1,64 @@
+// Layout search tests. Runs headlessly in Node 20 or later, without a build step:
+//   node --test layoutOptimizer.test.js
+// The app's modules import each other without file extensions, as the bundler resolves them; the
+// hook below does the same for Node.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { register } from 'node:module';
+
+register('data:text/javascript,' + encodeURIComponent(`
+    export const resolve = (specifier, context, next) => (
+        /^\\.\\.?\\/[^.]*$/.test(specifier) ? next(specifier + '.js', context) : next(specifier, context)
+    );
+`));
+
+const { plantDatabase } = await import('./plantDatabase.js');
+const { optimizeLayout } = await import('./layoutOptimizer.js');
+
+const byName = (name) => plantDatabase.find(plant => plant.name === name);
+
+const SITE = { hardinessZone: 11, lastFrost: null, firstFrost: null, chillHours: 0 };
+
+const countPlants = (gridState) => Object.values(gridState).flat().length;
+
+// One plant per cell along the top rows of a 10x10 grid
+const createLayout = (names) => Object.fromEntries(names.map((name, index) => [`${index % 10},${Math.floor(index / 10)}`, [byName(name)]]));
+
+const search = (gridState, constraints) => optimizeLayout({
+    gridState,
+    plants: plantDatabase,
+    site: SITE,
+    dimensions: { width: 10, height: 10 },
+    excludedCells: {},
+    forestAge: 5,
+    pollinationDistance: 3,
+    weights: { biodiversity: 1, yield: 1, vertical: 1 },
+    constraints: { mustInclude: [], layers: [], ...constraints },
+    iterations: 500
+});
+
+test('a starting layout over the budget is trimmed to it', () => {
+    const start = createLayout(Array(20).fill('Pineapple'));
+    assert.equal(countPlants(start), 20);
+    const result = search(start, { budget: 5 });
+    assert.ok(countPlants(result.gridState) <= 5, `${countPlants(result.gridState)} plants`);
+});
+
+test('trimming keeps must-include plants', () => {
+    const start = createLayout([...Array(10).fill('Pineapple'), 'Coffee']);
+    const result = search(start, { budget: 3, mustInclude: [byName('Coffee').id] });
+    const placed = Object.values(result.gridState).flat();
+    assert.ok(placed.length <= 3, `${placed.length} plants`);
+    assert.ok(placed.some(plant => plant.name === 'Coffee'));
+});
+
+test('must-include plants beyond the budget are reported, not placed', () => {
+    const required = plantDatabase.slice(0, 8);
+    const result = search({}, { budget: 3, mustInclude: required.map(plant => plant.id) });
+    const placed = new Set(Object.values(result.gridState).flat().map(plant => plant.id));
+    assert.ok(countPlants(result.gridState) <= 3, `${countPlants(result.gridState)} plants`);
+    assert.ok(result.overBudget.length >= required.length - 3);
+    required.forEach(plant => {
+        assert.ok(placed.has(plant.id) || result.overBudget.includes(plant) || result.missing.includes(plant), plant.name);
+    });
+});
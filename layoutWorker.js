@@ -0,0 +1,14 @@
+// Runs optimizeLayout off the main thread so the page stays responsive during a search.
+//
+// Receives the optimizeLayout options (without onProgress) and posts
+// { type: 'progress', iteration, iterations, objective, scores } while searching, then
+// { type: 'done', result } with the best layout. Stop a search by terminating the worker.
+import { optimizeLayout } from './layoutOptimizer';
+
+self.onmessage = (event) => {
+    const result = optimizeLayout({
+        ...event.data,
+        onProgress: (progress) => self.postMessage({ type: 'progress', ...progress })
+    });
+    self.postMessage({ type: 'done', result });
+};
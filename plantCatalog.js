@@ -0,0 +1,185 @@
+// Bulk import and export of plant catalogues (CSV or JSON) for the plant library.
+//
+// CSV files have one plant per row under a header. List fields hold several values separated by
+// ";" and antagonists are written as "Name|severity|reason" entries, e.g.
+//   name,layer,climate,companions,antagonists
+//   Wild Plum,Sub-canopy,Temperate,Comfrey;Chives,Walnut|medium|Sensitive to juglone
+// JSON files hold an array of plant objects, or { "plants": [...] } as written by exportPlantsJSON.
+import { parseCSV, toCSVRow } from './csv';
+import { createBlankPlant, nextCustomPlantId, putLibraryPlant } from './plantLibrary';
+import { validatePlantInDatabase } from './plantValidation';
+
+export const PLANT_CATALOG_FORMAT = 'food-forest-plants';
+
+// Schema fields that can be mapped from a catalogue column, with alternative column names
+export const CATALOG_FIELDS = [
+    { field: 'name', type: 'text', aliases: ['plant', 'plant name', 'common name'] },
+    { field: 'scientificName', type: 'text', aliases: ['scientific name', 'botanical name', 'latin name', 'species'] },
+    { field: 'family', type: 'text', aliases: ['plant family', 'botanical family'] },
+    { field: 'layer', type: 'text', aliases: ['forest layer'] },
+    { field: 'climate', type: 'text', aliases: ['climate zone'] },
+    { field: 'symbol', type: 'text', aliases: ['emoji', 'icon'] },
+    { field: 'yieldPerYear', type: 'number', aliases: ['yield', 'annual yield', 'yield per year'] },
+    { field: 'unit', type: 'text', aliases: ['yield unit', 'units'] },
+    { field: 'marketPrice', type: 'number', aliases: ['price', 'market price', 'unit price'] },
+    { field: 'maturityAge', type: 'number', aliases: ['maturity', 'maturity age', 'years to maturity'] },
+    { field: 'lifespan', type: 'number', aliases: ['life span', 'longevity', 'lifespan years'] },
+    { field: 'matureSpread', type: 'number', aliases: ['spread', 'mature spread', 'width'] },
+    { field: 'matureHeight', type: 'number', aliases: ['height', 'mature height'] },
+    { field: 'hardinessZoneMin', type: 'number', aliases: ['min zone', 'zone min', 'minimum zone', 'hardiness zone min'] },
+    { field: 'hardinessZoneMax', type: 'number', aliases: ['max zone', 'zone max', 'maximum zone', 'hardiness zone max'] },
+    { field: 'chillHours', type: 'number', aliases: ['chill', 'chill hours', 'chill requirement'] },
+    { field: 'growingSeasonDays', type: 'number', aliases: ['growing season', 'frost free days', 'days to harvest'] },
+    { field: 'pollination', type: 'text', aliases: ['pollination type', 'pollinator'] },
+    { field: 'sunlight', type: 'text', aliases: ['sun', 'light', 'exposure'] },
+    { field: 'water', type: 'text', aliases: ['watering', 'moisture'] },
+    { field: 'soil', type: 'text', aliases: ['soil type'] },
+    { field: 'growthHabit', type: 'text', aliases: ['growth habit', 'habit'] },
+    { field: 'description', type: 'text', aliases: ['notes'] },
+    { field: 'uses', type: 'list', aliases: [] },
+    { field: 'ecologicalRoles', type: 'list', aliases: ['roles', 'ecological roles', 'functions'] },
+    { field: 'companions', type: 'list', aliases: ['companion plants'] },
+    { field: 'antagonists', type: 'antagonists', aliases: ['avoid', 'bad companions'] },
+    { field: 'image', type: 'text', aliases: ['image url', 'photo'] }
+];
+
+const normalize = (value) => String(value).trim().toLowerCase().replace(/[\s_-]+/g, ' ');
+
+const splitList = (text) => text.split(/[;\n]/).map(item => item.trim()).filter(Boolean);
+
+const parseAntagonists = (text) => splitList(text).map(entry => {
+    const [name = '', severity = '', ...reason] = entry.split('|').map(part => part.trim());
+    return { name, reason: reason.join('|'), severity: severity.toLowerCase() };
+});
+
+const formatAntagonists = (antagonists) => antagonists
+    .map(({ name, severity, reason }) => [name, severity, reason].join('|'))
+    .join('; ');
+
+// Returns { format: 'csv' | 'json', columns, rows, errors } with rows as objects keyed by column name
+export const parsePlantCatalog = (text, fileName = '') => {
+    const isJSON = /\.json$/i.test(fileName) || /^\s*[[{]/.test(text);
+    if (isJSON) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            return { format: 'json', columns: [], rows: [], errors: [`Invalid JSON: ${e.message}`] };
+        }
+        const rows = Array.isArray(data) ? data : data && data.plants;
+        if (!Array.isArray(rows) || !rows.every(row => row !== null && typeof row === 'object' && !Array.isArray(row))) {
+            return { format: 'json', columns: [], rows: [], errors: ['Expected an array of plant objects or { "plants": [...] }.'] };
+        }
+        const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+        return { format: 'json', columns, rows, errors: [] };
+    }
+
+    const table = parseCSV(text);
+    if (table.length === 0) return { format: 'csv', columns: [], rows: [], errors: ['The file is empty.'] };
+    const columns = table[0].map(column => column.trim());
+    const rows = table.slice(1).map(values => Object.fromEntries(columns.map((column, index) => [column, values[index] || ''])));
+    return { format: 'csv', columns, rows, errors: [] };
+};
+
+// { [field]: column } for every schema field a column name (or alias) matches
+export const guessColumnMapping = (columns) => {
+    const mapping = {};
+    CATALOG_FIELDS.forEach(({ field, aliases }) => {
+        const names = [normalize(field), ...aliases.map(normalize)];
+        const column = columns.find(c => normalize(c) === normalize(field))
+            || columns.find(c => names.includes(normalize(c)));
+        if (column !== undefined) mapping[field] = column;
+    });
+    return mapping;
+};
+
+// Applies one catalogue row over `base`; fields without a mapped value keep the base values
+const rowToPlant = (row, mapping, base) => {
+    const plant = { ...base };
+    const errors = [];
+    CATALOG_FIELDS.forEach(({ field, type }) => {
+        const column = mapping[field];
+        if (!column || row[column] === undefined || row[column] === null || row[column] === '') return;
+        const value = row[column];
+        if (type === 'number') {
+            const number = typeof value === 'number' ? value : Number(String(value).trim());
+            if (Number.isFinite(number)) plant[field] = number;
+            else errors.push(`"${field}" value "${value}" is not a number.`);
+        } else if (type === 'list') {
+            plant[field] = Array.isArray(value) ? value.map(String) : splitList(String(value));
+        } else if (type === 'antagonists') {
+            plant[field] = Array.isArray(value) ? value : parseAntagonists(String(value));
+        } else {
+            plant[field] = String(value).trim();
+        }
+    });
+    return { plant, errors };
+};
+
+const findDuplicate = (plant, plants) => {
+    const name = normalize(plant.name);
+    const scientificName = normalize(plant.scientificName);
+    const byName = plants.find(p => normalize(p.name) === name);
+    if (byName) return { match: 'name', plant: byName };
+    const byScientificName = scientificName && plants.find(p => normalize(p.scientificName || '') === scientificName);
+    return byScientificName ? { match: 'scientific name', plant: byScientificName } : null;
+};
+
+// duplicates: 'skip' leaves existing plants alone, 'update' overwrites them with the catalogue values
+// (keeping the existing name when the match was by scientific name).
+// Returns one entry per row: { rowNumber, plant, duplicate, action: 'add' | 'update' | 'skip' | 'error', errors }
+// Rows are checked against the existing plants and the rows before them, so a file cannot add the same
+// plant twice, and antagonists may name any plant in the file.
+export const previewPlantCatalog = (rows, mapping, plants, { duplicates = 'skip', isCSV = false } = {}) => {
+    let known = [...plants];
+    let nextId = nextCustomPlantId(plants);
+    const entries = rows.map((row, index) => {
+        // Header is row 1 in a spreadsheet
+        const rowNumber = isCSV ? index + 2 : index + 1;
+        const { plant, errors } = rowToPlant(row, mapping, createBlankPlant(nextId));
+        if (errors.length > 0) {
+            return { rowNumber, plant, duplicate: null, action: 'error', errors };
+        }
+
+        const duplicate = findDuplicate(plant, known);
+        if (duplicate && duplicates === 'skip') {
+            return { rowNumber, plant, duplicate, action: 'skip', errors: [] };
+        }
+        let record = plant;
+        if (duplicate) {
+            record = rowToPlant(row, mapping, duplicate.plant).plant;
+            if (duplicate.match !== 'name') record.name = duplicate.plant.name;
+        } else {
+            nextId++;
+        }
+        known = [...known.filter(p => p.id !== record.id), record];
+        return { rowNumber, plant: record, duplicate, action: duplicate ? 'update' : 'add', errors: [] };
+    });
+
+    return entries.map(entry => {
+        if (entry.action !== 'add' && entry.action !== 'update') return entry;
+        const errors = validatePlantInDatabase(entry.plant, known);
+        return errors.length > 0 ? { ...entry, action: 'error', errors } : entry;
+    });
+};
+
+export const applyPlantCatalog = (library, builtins, entries) => {
+    return entries
+        .filter(entry => entry.action === 'add' || entry.action === 'update')
+        .reduce((next, entry) => putLibraryPlant(next, builtins, entry.plant), library);
+};
+
+export const exportPlantsJSON = (plants) => JSON.stringify({ format: PLANT_CATALOG_FORMAT, version: 1, plants }, null, 2) + '\n';
+
+export const exportPlantsCSV = (plants) => {
+    const fields = ['id', ...CATALOG_FIELDS.map(({ field }) => field)];
+    const lines = [toCSVRow(fields)];
+    plants.forEach(plant => {
+        lines.push(toCSVRow(fields.map(field => {
+            const value = plant[field];
+            if (field === 'antagonists') return formatAntagonists(value || []);
+            return Array.isArray(value) ? value.join('; ') : value;
+        })));
+    });
+    return lines.join('\n') + '\n';
+};
@@ -0,0 +1,52 @@
+// Mature spread of plants on the grid and how it grows with forest age.
+import { CELL_FEET } from './propertyBoundary';
+
+// Trees keep widening after their first harvest; assume full spread at twice the maturity age
+const FULL_SIZE_MATURITY_MULTIPLE = 2;
+// Share of the mature spread a plant has when it goes in the ground
+const PLANTING_SIZE = 0.15;
+
+export const getGrowthFactor = (plant, forestAge) => {
+    const fullSizeAge = Math.max(plant.maturityAge * FULL_SIZE_MATURITY_MULTIPLE, 1);
+    return Math.min(1, PLANTING_SIZE + (1 - PLANTING_SIZE) * forestAge / fullSizeAge);
+};
+
+// Canopy radius in feet; plants without a recorded spread fill their own cell
+export const getCanopyRadius = (plant, forestAge) => {
+    const spread = plant.matureSpread || CELL_FEET;
+    const growth = forestAge === undefined ? 1 : getGrowthFactor(plant, forestAge);
+    return spread / 2 * growth;
+};
+
+// Distance in feet between the centres of two cells
+export const cellDistance = (x1, y1, x2, y2) => Math.hypot(x1 - x2, y1 - y2) * CELL_FEET;
+
+// Cells whose centre lies under a canopy of radiusFeet centred on cell (x, y); always includes (x, y)
+export const getFootprintCells = (x, y, radiusFeet, dimensions) => {
+    const reach = Math.floor(radiusFeet / CELL_FEET);
+    const cells = [];
+    for (let cy = Math.max(0, y - reach); cy <= Math.min(dimensions.height - 1, y + reach); cy++) {
+        for (let cx = Math.max(0, x - reach); cx <= Math.min(dimensions.width - 1, x + reach); cx++) {
+            if (cellDistance(x, y, cx, cy) <= radiusFeet) {
+                cells.push(`${cx},${cy}`);
+            }
+        }
+    }
+    return cells;
+};
+
+// Maps each covered cell to the plants whose canopy shades it at the given age, tallest layers only
+export const computeCanopyCover = (gridState, forestAge, dimensions, layers = ['Canopy', 'Sub-canopy']) => {
+    const cover = {};
+    Object.entries(gridState).forEach(([key, plants]) => {
+        const [x, y] = key.split(',').map(Number);
+        plants
+            .filter(plant => layers.includes(plant.layer))
+            .forEach(plant => {
+                getFootprintCells(x, y, getCanopyRadius(plant, forestAge), dimensions).forEach(cell => {
+                    (cover[cell] = cover[cell] || []).push(plant);
+                });
+            });
+    });
+    return cover;
+};
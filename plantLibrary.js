@@ -0,0 +1,131 @@
+// The user's plant library: custom plants plus local overrides of built-in records, kept in
+// localStorage and merged over plantDatabase.
+//
+// {
+//   "version": 1,
+//   "plants": [{ "id": 1000, "name": "Wild Plum", ... }],
+//   "overrides": { "3": { "marketPrice": 1.4 } }
+// }
+//
+// Custom plants get ids from CUSTOM_PLANT_ID_START up so they never collide with built-in ids,
+// which saved projects refer to. Overrides store only the fields that differ from the built-in record.
+import { readJSON, writeJSON } from './projectStorage';
+import { RETIRED_PLANT_IDS } from './plantDatabase';
+
+const PLANT_LIBRARY_KEY = 'foodForestPlanner.plantLibrary';
+const PLANT_LIBRARY_VERSION = 1;
+
+export const CUSTOM_PLANT_ID_START = 1000;
+
+// Finds a plant by id, following the id of a retired duplicate to the record it was merged into
+export const findPlantById = (plants, id) => {
+    const currentId = RETIRED_PLANT_IDS[id] || id;
+    return plants.find(plant => plant.id === currentId);
+};
+
+export const createPlantLibrary = () => ({ version: PLANT_LIBRARY_VERSION, plants: [], overrides: {} });
+
+export const loadPlantLibrary = () => {
+    const library = readJSON(PLANT_LIBRARY_KEY, null);
+    if (!library || !Array.isArray(library.plants)) return createPlantLibrary();
+    // Plants saved before a field was added get its default value
+    const plants = library.plants.map(plant => ({ ...createBlankPlant(plant.id), ...plant }));
+    return { ...createPlantLibrary(), ...library, plants, overrides: library.overrides || {} };
+};
+
+export const savePlantLibrary = (library) => writeJSON(PLANT_LIBRARY_KEY, library);
+
+// Built-in records with overrides applied, followed by custom plants
+export const mergePlantLibrary = (builtins, library) => [
+    ...builtins.map(plant => (library.overrides[plant.id] ? { ...plant, ...library.overrides[plant.id] } : plant)),
+    ...library.plants
+];
+
+// 'builtin', 'override' (a built-in record with local changes) or 'custom'
+export const getPlantSource = (library, id) => {
+    if (library.plants.some(plant => plant.id === id)) return 'custom';
+    return library.overrides[id] ? 'override' : 'builtin';
+};
+
+export const nextCustomPlantId = (plants) => {
+    return plants.reduce((max, plant) => Math.max(max, plant.id), CUSTOM_PLANT_ID_START - 1) + 1;
+};
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Stores `plant` as a custom plant, or, when it has a built-in id, as an override of that record
+export const putLibraryPlant = (library, builtins, plant) => {
+    const builtin = builtins.find(p => p.id === plant.id);
+    if (!builtin) {
+        const others = library.plants.filter(p => p.id !== plant.id);
+        return { ...library, plants: [...others, plant] };
+    }
+    const changes = {};
+    Object.keys(plant).forEach(field => {
+        if (field !== 'id' && !sameValue(plant[field], builtin[field])) changes[field] = plant[field];
+    });
+    const { [plant.id]: _, ...overrides } = library.overrides;
+    if (Object.keys(changes).length > 0) overrides[plant.id] = changes;
+    return { ...library, overrides };
+};
+
+// Deletes a custom plant or resets a built-in record to its original values
+export const removeLibraryPlant = (library, id) => {
+    const { [id]: _, ...overrides } = library.overrides;
+    return { ...library, plants: library.plants.filter(plant => plant.id !== id), overrides };
+};
+
+// Placed dioecious plants are the record plus their own `sex`; keep it while the species stays dioecious
+const updatePlanting = (plant, record) => {
+    if (!record || plant.sex === undefined || record.pollination !== 'dioecious') return record;
+    const { sex, ...fields } = plant;
+    const unchanged = Object.keys(fields).length === Object.keys(record).length
+        && Object.keys(record).every(field => record[field] === fields[field]);
+    return unchanged ? plant : { ...record, sex };
+};
+
+// Grid cells hold plant objects; swap in the current record for each id and drop plants that no longer exist
+export const replacePlantRecords = (gridState, plants) => {
+    const byId = new Map(plants.map(plant => [plant.id, plant]));
+    const nextState = {};
+    let changed = false;
+    Object.entries(gridState).forEach(([key, cellPlants]) => {
+        const updated = cellPlants.map(plant => updatePlanting(plant, byId.get(plant.id))).filter(Boolean);
+        const unchanged = updated.length === cellPlants.length && updated.every((plant, index) => plant === cellPlants[index]);
+        if (!unchanged) changed = true;
+        if (updated.length > 0) nextState[key] = unchanged ? cellPlants : updated;
+    });
+    return changed ? nextState : gridState;
+};
+
+export const createBlankPlant = (id) => ({
+    id,
+    name: '',
+    layer: 'Shrub',
+    climate: 'Temperate',
+    symbol: '🌱',
+    yieldPerYear: 0,
+    unit: 'lbs',
+    maturityAge: 3,
+    lifespan: 30,
+    matureSpread: 6,
+    matureHeight: 6,
+    hardinessZoneMin: 5,
+    hardinessZoneMax: 9,
+    chillHours: 0,
+    growingSeasonDays: 120,
+    pollination: 'self-fertile',
+    scientificName: '',
+    family: '',
+    description: '',
+    uses: [],
+    ecologicalRoles: [],
+    growthHabit: '',
+    soil: '',
+    sunlight: 'Full sun',
+    water: '',
+    companions: [],
+    antagonists: [],
+    image: '',
+    marketPrice: 0
+});
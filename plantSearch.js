@@ -0,0 +1,204 @@
+// Plant search: free-text matching, facets, numeric ranges and sorting for the plant sidebar,
+// plus named filter presets kept in localStorage.
+//
+// Facet values are derived from the free-text record fields (e.g. water "Moderate, consistent
+// moisture" is in the "Moderate" bucket) so that similar plants group together. Within a facet the
+// selected values are alternatives; different facets, ranges and the text all have to match.
+import { readJSON, writeJSON } from './projectStorage';
+import { CELL_FEET } from './propertyBoundary';
+import { getCanopyRadius } from './plantFootprint';
+
+const SEARCH_PRESETS_KEY = 'foodForestPlanner.searchPresets';
+
+const USE_SYNONYMS = {
+    Medicinal: 'Medicine',
+    Cosmetic: 'Cosmetics',
+    Drink: 'Beverage'
+};
+
+const SOIL_KEYWORDS = [
+    ['sandy', 'Sandy'],
+    ['loam', 'Loamy'],
+    ['acidic', 'Acidic'],
+    ['organic', 'Rich'],
+    ['rich', 'Rich'],
+    ['fertile', 'Rich'],
+    ['moist', 'Moist'],
+    ['deep', 'Deep'],
+    ['poor', 'Tolerates poor soil'],
+    ['various', 'Adaptable'],
+    ['adaptable', 'Adaptable'],
+    ['well-draining', 'Well-draining']
+];
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+export const FACETS = [
+    {
+        field: 'uses',
+        label: 'Uses',
+        getValues: (plant) => [...new Set((plant.uses || []).map(use => USE_SYNONYMS[use] || use))]
+    },
+    {
+        field: 'ecologicalRoles',
+        label: 'Ecological Role',
+        getValues: (plant) => plant.ecologicalRoles || []
+    },
+    {
+        field: 'sunlight',
+        label: 'Sunlight',
+        getValues: (plant) => {
+            const sunlight = (plant.sunlight || '').toLowerCase();
+            if (sunlight.includes('sun') && sunlight.includes('shade')) return ['Sun or partial shade'];
+            if (sunlight.includes('shade')) return ['Partial shade'];
+            return sunlight ? ['Full sun'] : [];
+        }
+    },
+    {
+        field: 'water',
+        label: 'Water',
+        // The need comes before the first comma: "Low", "Moderate", "Moderate to high" or "High"
+        getValues: (plant) => {
+            const need = (plant.water || '').split(',')[0].trim().toLowerCase();
+            return need ? [capitalize(need)] : [];
+        }
+    },
+    {
+        field: 'soil',
+        label: 'Soil',
+        getValues: (plant) => {
+            const soil = (plant.soil || '').toLowerCase();
+            return [...new Set(SOIL_KEYWORDS.filter(([keyword]) => soil.includes(keyword)).map(([, value]) => value))];
+        }
+    }
+];
+
+export const RANGES = [
+    { field: 'maturityAge', label: 'Maturity Age (years)' },
+    { field: 'yieldPerYear', label: 'Yield per Year' },
+    { field: 'marketPrice', label: 'Market Price' }
+];
+
+// Annual crop value divided by the cells the mature canopy covers
+export const getValuePerCell = (plant) => {
+    const radius = getCanopyRadius(plant);
+    const cells = Math.max(1, Math.PI * radius * radius / (CELL_FEET * CELL_FEET));
+    return plant.yieldPerYear * plant.marketPrice / cells;
+};
+
+// Entries are { plant, suitability, score } as returned by rankPlantsBySuitability
+export const SORTS = {
+    suitability: { label: 'Suitability', compare: (a, b) => b.score - a.score },
+    name: { label: 'Name', compare: () => 0 },
+    yield: { label: 'Yield (highest first)', compare: (a, b) => b.plant.yieldPerYear - a.plant.yieldPerYear },
+    value: { label: 'Value per Cell (highest first)', compare: (a, b) => getValuePerCell(b.plant) - getValuePerCell(a.plant) },
+    maturity: { label: 'Maturity (soonest first)', compare: (a, b) => a.plant.maturityAge - b.plant.maturityAge }
+};
+
+export const createPlantFilters = () => ({
+    text: '',
+    layer: 'All',
+    includeUnsuitable: false,
+    facets: Object.fromEntries(FACETS.map(({ field }) => [field, []])),
+    ranges: Object.fromEntries(RANGES.map(({ field }) => [field, { min: null, max: null }])),
+    sort: 'suitability'
+});
+
+// Filters saved by an older version may lack newer keys
+const withDefaults = (filters) => {
+    const defaults = createPlantFilters();
+    return {
+        ...defaults,
+        ...filters,
+        facets: { ...defaults.facets, ...filters.facets },
+        ranges: { ...defaults.ranges, ...filters.ranges }
+    };
+};
+
+// Number of criteria that narrow the results (text, layer, facet values and range bounds)
+export const countActiveFilters = (filters) => {
+    let count = (filters.text.trim() ? 1 : 0) + (filters.layer !== 'All' ? 1 : 0);
+    Object.values(filters.facets).forEach(values => {
+        count += values.length;
+    });
+    Object.values(filters.ranges).forEach(({ min, max }) => {
+        count += (min !== null ? 1 : 0) + (max !== null ? 1 : 0);
+    });
+    return count;
+};
+
+const searchableText = (plant) => [plant.name, plant.scientificName, plant.description, ...(plant.uses || [])]
+    .join(' ')
+    .toLowerCase();
+
+// Every word of the query has to appear in the name, scientific name, description or uses
+const matchesText = (plant, text) => {
+    const words = text.toLowerCase().split(/\s+/).filter(Boolean);
+    if (words.length === 0) return true;
+    const haystack = searchableText(plant);
+    return words.every(word => haystack.includes(word));
+};
+
+const matchesFacet = (plant, facet, selected) => {
+    return selected.length === 0 || facet.getValues(plant).some(value => selected.includes(value));
+};
+
+const matchesRanges = (plant, ranges) => {
+    return RANGES.every(({ field }) => {
+        const { min, max } = ranges[field];
+        return (min === null || plant[field] >= min) && (max === null || plant[field] <= max);
+    });
+};
+
+// Returns { results, facetCounts: { [field]: [{ value, count }] } }. A facet's counts apply every
+// filter except that facet's own selection, so they show what ticking another value would add.
+export const searchPlants = (entries, filters) => {
+    const base = entries.filter(({ plant, suitability }) => (
+        (filters.includeUnsuitable || suitability !== 'unsuitable')
+        && (filters.layer === 'All' || plant.layer === filters.layer)
+        && matchesText(plant, filters.text)
+        && matchesRanges(plant, filters.ranges)
+    ));
+
+    const facetCounts = {};
+    FACETS.forEach(facet => {
+        const counts = new Map();
+        base
+            .filter(({ plant }) => FACETS.every(other => other === facet || matchesFacet(plant, other, filters.facets[other.field])))
+            .forEach(({ plant }) => {
+                facet.getValues(plant).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+            });
+        // Selected values stay listed even when nothing else matches them
+        filters.facets[facet.field].forEach(value => {
+            if (!counts.has(value)) counts.set(value, 0);
+        });
+        facetCounts[facet.field] = [...counts.entries()]
+            .map(([value, count]) => ({ value, count }))
+            .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+    });
+
+    const sort = SORTS[filters.sort] || SORTS.suitability;
+    const results = base
+        .filter(({ plant }) => FACETS.every(facet => matchesFacet(plant, facet, filters.facets[facet.field])))
+        .sort((a, b) => sort.compare(a, b) || a.plant.name.localeCompare(b.plant.name));
+
+    return { results, facetCounts };
+};
+
+export const loadSearchPresets = () => {
+    const presets = readJSON(SEARCH_PRESETS_KEY, {});
+    return Object.fromEntries(Object.entries(presets).map(([name, filters]) => [name, withDefaults(filters)]));
+};
+
+// Both return the updated presets
+export const saveSearchPreset = (name, filters) => {
+    const presets = { ...loadSearchPresets(), [name]: filters };
+    writeJSON(SEARCH_PRESETS_KEY, presets);
+    return presets;
+};
+
+export const deleteSearchPreset = (name) => {
+    const { [name]: _, ...presets } = loadSearchPresets();
+    writeJSON(SEARCH_PRESETS_KEY, presets);
+    return presets;
+};
@@ -0,0 +1,219 @@
+// Integrity checks for plant records.
+//
+// Has no browser dependencies, so the whole database can be checked headlessly, e.g. with Node:
+//   validatePlantDatabase(plantDatabase) -> { errors, warnings }
+// Errors are data the planner cannot use correctly (bad types, duplicate ids, names or species,
+// unknown enums, impossible numbers). Warnings are worth reviewing but legitimate: companions
+// without a record of their own, relationships listed on one side only, and gaps in the id
+// sequence, which is kept as-is because saved projects refer to plants by id. The module imports
+// nothing, so it loads in Node as it is.
+
+export const CLIMATES = ['Tropical', 'Subtropical', 'Temperate'];
+export const LAYERS = ['Canopy', 'Sub-canopy', 'Shrub', 'Herbaceous', 'Ground Cover', 'Vine', 'Root'];
+export const SEVERITIES = ['low', 'medium', 'high'];
+export const POLLINATION_TYPES = ['self-fertile', 'cross-pollinated', 'dioecious'];
+// USDA zones 1a (1) to 13b (13.5)
+export const MIN_ZONE = 1;
+export const MAX_ZONE = 13.5;
+export const ECOLOGICAL_ROLES = [
+    'Nitrogen fixer',
+    'Dynamic accumulator',
+    'Pollinator attractor',
+    'Pest repellent',
+    'Windbreak',
+    'Mulch producer',
+    'Ground cover'
+];
+
+const STRING_FIELDS = ['name', 'symbol', 'unit', 'scientificName', 'family', 'description', 'growthHabit', 'soil', 'sunlight', 'water', 'image'];
+
+// [field, minimum, whether the minimum itself is allowed]
+const NUMBER_RANGES = [
+    ['yieldPerYear', 0, true],
+    ['marketPrice', 0, true],
+    ['maturityAge', 0, false],
+    ['lifespan', 0, false],
+    ['matureSpread', 0, false],
+    ['matureHeight', 0, false],
+    ['chillHours', 0, true],
+    ['growingSeasonDays', 0, false]
+];
+
+const isString = (value) => typeof value === 'string';
+const isNonEmptyString = (value) => isString(value) && value.trim() !== '';
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+export const describePlant = (plant) => {
+    const id = plant && plant.id !== undefined ? plant.id : '?';
+    const name = plant && isString(plant.name) ? ` "${plant.name}"` : '';
+    return `Plant ${id}${name}`;
+};
+
+// Schema, enum and range problems of a single record, as messages without the plant prefix
+export const validatePlant = (plant) => {
+    if (plant === null || typeof plant !== 'object' || Array.isArray(plant)) {
+        return ['must be an object.'];
+    }
+    const errors = [];
+    if (!Number.isInteger(plant.id) || plant.id < 1) errors.push('"id" must be a positive integer.');
+    STRING_FIELDS.forEach(field => {
+        if (!isString(plant[field])) errors.push(`"${field}" must be a string.`);
+    });
+    if (isString(plant.name) && !isNonEmptyString(plant.name)) errors.push('"name" must not be empty.');
+    if (!CLIMATES.includes(plant.climate)) errors.push(`"climate" must be one of ${CLIMATES.join(', ')}.`);
+    if (!LAYERS.includes(plant.layer)) errors.push(`"layer" must be one of ${LAYERS.join(', ')}.`);
+    if (!POLLINATION_TYPES.includes(plant.pollination)) errors.push(`"pollination" must be one of ${POLLINATION_TYPES.join(', ')}.`);
+
+    NUMBER_RANGES.forEach(([field, minimum, inclusive]) => {
+        const value = plant[field];
+        if (!isNumber(value)) {
+            errors.push(`"${field}" must be a number.`);
+        } else if (inclusive ? value < minimum : value <= minimum) {
+            errors.push(`"${field}" must be ${inclusive ? 'at least' : 'greater than'} ${minimum}.`);
+        }
+    });
+
+    if (isNumber(plant.growingSeasonDays) && plant.growingSeasonDays > 365) {
+        errors.push('"growingSeasonDays" must be at most 365.');
+    }
+    if (isNumber(plant.lifespan) && isNumber(plant.maturityAge) && plant.lifespan <= plant.maturityAge) {
+        errors.push(`"lifespan" (${plant.lifespan}) must be longer than "maturityAge" (${plant.maturityAge}).`);
+    }
+
+    const zones = ['hardinessZoneMin', 'hardinessZoneMax'];
+    zones.forEach(field => {
+        const zone = plant[field];
+        if (!isNumber(zone) || zone < MIN_ZONE || zone > MAX_ZONE || zone * 2 !== Math.round(zone * 2)) {
+            errors.push(`"${field}" must be a USDA zone from ${MIN_ZONE} to ${MAX_ZONE} in steps of 0.5.`);
+        }
+    });
+    if (zones.every(field => isNumber(plant[field])) && plant.hardinessZoneMin > plant.hardinessZoneMax + 0.5) {
+        errors.push(`"hardinessZoneMin" (${plant.hardinessZoneMin}) is warmer than "hardinessZoneMax" (${plant.hardinessZoneMax}).`);
+    }
+
+    ['uses', 'companions'].forEach(field => {
+        if (!Array.isArray(plant[field]) || !plant[field].every(isNonEmptyString)) {
+            errors.push(`"${field}" must be an array of names.`);
+        }
+    });
+    const roles = plant.ecologicalRoles;
+    if (!Array.isArray(roles) || !roles.every(role => ECOLOGICAL_ROLES.includes(role))) {
+        errors.push(`"ecologicalRoles" must be an array of ${ECOLOGICAL_ROLES.join(', ')}.`);
+    } else if (new Set(roles).size !== roles.length) {
+        errors.push('"ecologicalRoles" lists a role more than once.');
+    }
+    if (Array.isArray(plant.companions) && isString(plant.name) && plant.companions.includes(plant.name)) {
+        errors.push('lists itself as a companion.');
+    }
+
+    if (!Array.isArray(plant.antagonists)) {
+        errors.push('"antagonists" must be an array.');
+    } else {
+        plant.antagonists.forEach((antagonist, index) => {
+            if (antagonist === null || typeof antagonist !== 'object') {
+                errors.push(`antagonists[${index}] must be an object.`);
+                return;
+            }
+            if (!isNonEmptyString(antagonist.name)) errors.push(`antagonists[${index}].name must be a name.`);
+            if (!isNonEmptyString(antagonist.reason)) errors.push(`antagonists[${index}].reason must be a non-empty string.`);
+            if (!SEVERITIES.includes(antagonist.severity)) {
+                errors.push(`antagonists[${index}].severity must be one of ${SEVERITIES.join(', ')}.`);
+            }
+        });
+    }
+
+    return errors;
+};
+
+const findDuplicates = (values) => {
+    const seen = new Set();
+    const duplicates = new Set();
+    values.forEach(value => {
+        if (seen.has(value)) duplicates.add(value);
+        seen.add(value);
+    });
+    return [...duplicates];
+};
+
+// "Passion Fruit" and "Passionfruit" name the same plant: lower case without spaces or punctuation
+const normalizePlantName = (name) => name.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+export const validatePlantDatabase = (plants) => {
+    if (!Array.isArray(plants)) {
+        return { errors: ['The plant database must be an array.'], warnings: [] };
+    }
+    const errors = [];
+    const warnings = [];
+
+    plants.forEach(plant => {
+        validatePlant(plant).forEach(message => errors.push(`${describePlant(plant)}: ${message}`));
+    });
+
+    const records = plants.filter(plant => plant !== null && typeof plant === 'object');
+    findDuplicates(records.map(plant => plant.id)).forEach(id => {
+        const names = records.filter(plant => plant.id === id).map(plant => `"${plant.name}"`);
+        errors.push(`Duplicate id ${id} (${names.join(', ')}).`);
+    });
+    const named = records.filter(plant => isNonEmptyString(plant.name));
+    findDuplicates(named.map(plant => normalizePlantName(plant.name))).forEach(normalized => {
+        const matches = named.filter(plant => normalizePlantName(plant.name) === normalized);
+        const names = [...new Set(matches.map(plant => `"${plant.name}"`))].join(' / ');
+        errors.push(`Duplicate name ${names} (ids ${matches.map(plant => plant.id).join(', ')}).`);
+    });
+    const classified = records.filter(plant => isNonEmptyString(plant.scientificName));
+    findDuplicates(classified.map(plant => plant.scientificName.trim().toLowerCase())).forEach(scientificName => {
+        const matches = classified.filter(plant => plant.scientificName.trim().toLowerCase() === scientificName);
+        errors.push(`Duplicate scientific name "${matches[0].scientificName}" (${matches.map(describePlant).join(', ')}).`);
+    });
+
+    const ids = records.map(plant => plant.id).filter(Number.isInteger).sort((a, b) => a - b);
+    for (let i = 1; i < ids.length; i++) {
+        if (ids[i] - ids[i - 1] > 1) {
+            const missing = ids[i] - ids[i - 1] === 2 ? `${ids[i - 1] + 1}` : `${ids[i - 1] + 1}-${ids[i] - 1}`;
+            warnings.push(`Ids ${missing} are unused.`);
+        }
+    }
+
+    const byName = new Map(records.map(plant => [plant.name, plant]));
+    records.forEach(plant => {
+        const companions = Array.isArray(plant.companions) ? plant.companions : [];
+        companions.filter(isString).forEach(name => {
+            const companion = byName.get(name);
+            if (!companion) {
+                warnings.push(`${describePlant(plant)}: companion "${name}" has no plant record.`);
+            } else if (!(companion.companions || []).includes(plant.name)) {
+                warnings.push(`${describePlant(plant)}: lists "${name}" as a companion, but "${name}" does not list it back.`);
+            }
+        });
+
+        const antagonists = Array.isArray(plant.antagonists) ? plant.antagonists : [];
+        antagonists.filter(antagonist => antagonist && isString(antagonist.name)).forEach(({ name }) => {
+            const antagonist = byName.get(name);
+            if (!antagonist) {
+                errors.push(`${describePlant(plant)}: antagonist "${name}" has no plant record.`);
+            } else if (!(antagonist.antagonists || []).some(entry => entry && entry.name === plant.name)) {
+                warnings.push(`${describePlant(plant)}: lists "${name}" as an antagonist, but "${name}" does not list it back.`);
+            }
+            if (companions.includes(name)) {
+                errors.push(`${describePlant(plant)}: "${name}" is listed as both a companion and an antagonist.`);
+            }
+        });
+    });
+
+    return { errors, warnings };
+};
+
+// Checks one record (new or edited) against the rest of the database: its own schema plus
+// unique id and name, and antagonists that exist. Returns messages without the plant prefix.
+export const validatePlantInDatabase = (plant, plants) => {
+    const errors = validatePlant(plant);
+    if (errors.length > 0) return errors;
+    const others = plants.filter(other => other.id !== plant.id);
+    if (others.some(other => normalizePlantName(other.name) === normalizePlantName(plant.name))) {
+        errors.push(`another plant is already named "${plant.name}".`);
+    }
+    plant.antagonists.forEach(({ name }) => {
+        if (!others.some(other => other.name === name)) errors.push(`antagonist "${name}" has no plant record.`);
+    });
+    return errors;
+};
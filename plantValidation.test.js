@@ -0,0 +1,102 @@
+// Plant database integrity tests. Runs headlessly in Node 20 or later, without a build step:
+//   node --test plantValidation.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { plantDatabase, RETIRED_PLANT_IDS } from './plantDatabase.js';
+import { validatePlant, validatePlantDatabase, validatePlantInDatabase } from './plantValidation.js';
+
+const byName = (name) => plantDatabase.find(plant => plant.name === name);
+
+// Two valid records that do not refer to each other or to anything else
+const createRecords = () => [
+    { ...byName('Mango Tree'), companions: [], antagonists: [] },
+    { ...byName('Banana'), companions: [], antagonists: [] }
+];
+
+const hasMessage = (messages, text) => messages.some(message => message.includes(text));
+
+test('the built-in plant database has no errors', () => {
+    const { errors } = validatePlantDatabase(plantDatabase);
+    assert.deepEqual(errors, []);
+});
+
+test('retired ids are free and lead to a built-in record', () => {
+    Object.entries(RETIRED_PLANT_IDS).forEach(([id, currentId]) => {
+        assert.ok(!plantDatabase.some(plant => plant.id === Number(id)), `id ${id} is still in use`);
+        assert.ok(plantDatabase.some(plant => plant.id === currentId), `id ${id} leads to missing id ${currentId}`);
+    });
+});
+
+test('the test records are valid', () => {
+    assert.deepEqual(validatePlantDatabase(createRecords()), { errors: [], warnings: [] });
+});
+
+test('duplicate ids are errors', () => {
+    const [mango, banana] = createRecords();
+    const { errors } = validatePlantDatabase([mango, { ...banana, id: mango.id }]);
+    assert.ok(hasMessage(errors, `Duplicate id ${mango.id} ("Mango Tree", "Banana")`), errors.join('\n'));
+});
+
+test('duplicate names are errors, ignoring case, spaces and punctuation', () => {
+    const [mango, banana] = createRecords();
+    const exact = validatePlantDatabase([mango, { ...banana, name: 'Mango Tree' }]).errors;
+    assert.ok(hasMessage(exact, 'Duplicate name "Mango Tree"'), exact.join('\n'));
+
+    const spelling = validatePlantDatabase([mango, { ...banana, name: 'mango-tree' }]).errors;
+    assert.ok(hasMessage(spelling, 'Duplicate name "Mango Tree" / "mango-tree"'), spelling.join('\n'));
+
+    const edited = validatePlantInDatabase({ ...banana, name: 'MangoTree' }, [mango, banana]);
+    assert.ok(hasMessage(edited, 'another plant is already named'), edited.join('\n'));
+});
+
+test('duplicate scientific names are errors', () => {
+    const [mango, banana] = createRecords();
+    const { errors } = validatePlantDatabase([mango, { ...banana, scientificName: mango.scientificName }]);
+    assert.ok(hasMessage(errors, `Duplicate scientific name "${mango.scientificName}"`), errors.join('\n'));
+});
+
+test('dangling companion and antagonist references are reported', () => {
+    const [mango, banana] = createRecords();
+    const { errors, warnings } = validatePlantDatabase([
+        { ...mango, companions: ['Unknown Herb'] },
+        { ...banana, antagonists: [{ name: 'Unknown Weed', reason: 'Smothers it', severity: 'low' }] }
+    ]);
+    assert.ok(hasMessage(warnings, 'companion "Unknown Herb" has no plant record'), warnings.join('\n'));
+    assert.ok(hasMessage(errors, 'antagonist "Unknown Weed" has no plant record'), errors.join('\n'));
+});
+
+test('one-sided relationships are warnings', () => {
+    const [mango, banana] = createRecords();
+    const { errors, warnings } = validatePlantDatabase([{ ...mango, companions: ['Banana'] }, banana]);
+    assert.deepEqual(errors, []);
+    assert.ok(hasMessage(warnings, '"Banana" does not list it back'), warnings.join('\n'));
+});
+
+test('unknown climates, layers and severities are errors', () => {
+    const [mango] = createRecords();
+    assert.ok(hasMessage(validatePlant({ ...mango, climate: 'Arctic' }), '"climate" must be one of'));
+    assert.ok(hasMessage(validatePlant({ ...mango, layer: 'Emergent' }), '"layer" must be one of'));
+    assert.ok(hasMessage(validatePlant({ ...mango, pollination: 'wind' }), '"pollination" must be one of'));
+    const antagonists = [{ name: 'Banana', reason: 'Shades it', severity: 'extreme' }];
+    assert.ok(hasMessage(validatePlant({ ...mango, antagonists }), 'antagonists[0].severity must be one of'));
+});
+
+test('out-of-range numbers are errors', () => {
+    const [mango] = createRecords();
+    const cases = [
+        [{ yieldPerYear: -1 }, '"yieldPerYear" must be at least 0'],
+        [{ marketPrice: '4' }, '"marketPrice" must be a number'],
+        [{ maturityAge: 0 }, '"maturityAge" must be greater than 0'],
+        [{ matureHeight: NaN }, '"matureHeight" must be a number'],
+        [{ growingSeasonDays: 400 }, '"growingSeasonDays" must be at most 365'],
+        [{ lifespan: mango.maturityAge }, '"lifespan"'],
+        [{ hardinessZoneMin: 14 }, '"hardinessZoneMin" must be a USDA zone'],
+        [{ hardinessZoneMax: 9.3 }, '"hardinessZoneMax" must be a USDA zone'],
+        [{ hardinessZoneMin: 12, hardinessZoneMax: 10 }, 'is warmer than "hardinessZoneMax"'],
+        [{ id: 0 }, '"id" must be a positive integer']
+    ];
+    cases.forEach(([change, message]) => {
+        const errors = validatePlant({ ...mango, ...change });
+        assert.ok(hasMessage(errors, message), `${JSON.stringify(change)}: ${errors.join(' ') || 'no errors'}`);
+    });
+});
@@ -0,0 +1,73 @@
+// Pollination: which placed plants can set fruit.
+//
+// Plant records have `pollination`, one of POLLINATION_TYPES in plantValidation:
+// - 'self-fertile' plants fruit on their own.
+// - 'cross-pollinated' plants need another plant of the same species (a second variety) nearby.
+// - 'dioecious' species have separate male and female plants. Each placed plant carries its own
+//   `sex`; females fruit only with a male nearby, and males never fruit.
+// "Nearby" is within `distance` feet, measured between cell centres.
+import { CELL_FEET } from './propertyBoundary';
+import { cellDistance } from './plantFootprint';
+
+export const SEXES = ['female', 'male'];
+
+// Bees work between trees of a small orchard; pollinators much further apart set little fruit
+export const DEFAULT_POLLINATION_DISTANCE = 50;
+export const MAX_POLLINATION_DISTANCE = 300;
+
+export const isDioecious = (plant) => plant.pollination === 'dioecious';
+
+// Dioecious plants placed before they had a sex are treated as female
+export const getPlantSex = (plant) => (isDioecious(plant) ? plant.sex || 'female' : null);
+
+// The object placed on the grid for a record
+export const createPlanting = (plant, sex = 'female') => (isDioecious(plant) ? { ...plant, sex } : plant);
+
+const isSameSpecies = (plant, other) => {
+    return other.name === plant.name || (Boolean(plant.scientificName) && other.scientificName === plant.scientificName);
+};
+
+const isPollinatorFor = (plant, other) => {
+    if (!isSameSpecies(plant, other)) return false;
+    return isDioecious(plant) ? getPlantSex(other) === 'male' : true;
+};
+
+const hasPollinatorNearby = (gridState, x, y, index, plant, distance) => {
+    const reach = Math.floor(distance / CELL_FEET);
+    for (let cy = y - reach; cy <= y + reach; cy++) {
+        for (let cx = x - reach; cx <= x + reach; cx++) {
+            const cellPlants = gridState[`${cx},${cy}`];
+            if (!cellPlants || cellDistance(x, y, cx, cy) > distance) continue;
+            const found = cellPlants.some((other, otherIndex) => (
+                !(cx === x && cy === y && otherIndex === index) && isPollinatorFor(plant, other)
+            ));
+            if (found) return true;
+        }
+    }
+    return false;
+};
+
+// Returns {
+//   plantings: [{ key, x, y, index, plant, fruits }] for every placed plant,
+//   issues: [{ key, x, y, index, plant, problem: 'no-pollinator' | 'no-male' }]
+// }
+// Males are not issues: they do their job by pollinating.
+export const analyzePollination = (gridState, distance = DEFAULT_POLLINATION_DISTANCE) => {
+    const plantings = [];
+    const issues = [];
+    Object.entries(gridState).forEach(([key, cellPlants]) => {
+        const [x, y] = key.split(',').map(Number);
+        cellPlants.forEach((plant, index) => {
+            let fruits = true;
+            if (getPlantSex(plant) === 'male') {
+                fruits = false;
+            } else if (plant.pollination === 'cross-pollinated' || isDioecious(plant)) {
+                fruits = hasPollinatorNearby(gridState, x, y, index, plant, distance);
+                if (!fruits) issues.push({ key, x, y, index, plant, problem: isDioecious(plant) ? 'no-male' : 'no-pollinator' });
+            }
+            plantings.push({ key, x, y, index, plant, fruits });
+        });
+    });
+    issues.sort((a, b) => a.y - b.y || a.x - b.x);
+    return { plantings, issues };
+};
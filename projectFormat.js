@@ -0,0 +1,330 @@
+// Food forest project file format (*.foodforest.json)
+//
+// {
+//   "format": "food-forest-planner",
+//   "version": 5,
+//   "name": "Backyard guild",
+//   "grid": {
+//     "width": 33, "height": 10, "sizeMode": "custom", "propertySize": 1, "customLength": 300, "customWidth": 90,
+//     "boundary": [[0, 0], [33, 0], [33, 10], [0, 6]],
+//     "excludedCells": [[0, 9], [1, 9]]
+//   },
+//   "climate": "Tropical",
+//   "site": {
+//     "latitude": 10, "orientation": 0,
+//     "hardinessZone": 12, "lastFrost": null, "firstFrost": null, "chillHours": 0
+//   },
+//   "forestAge": 5,
+//   "cells": [{ "x": 3, "y": 4, "plants": [2, 3, 7, { "id": 50, "sex": "male" }] }],
+//   "costs": { "setup": { "landCost": 10000, ... }, "annual": { "maintenance": 1000, ... } }
+// }
+//
+// - Plants are referenced by their plantDatabase `id`, listed in placement order per cell. Plants of
+//   dioecious species are written as { "id", "sex" } so each keeps its own sex.
+// - Cells are sorted by row then column so files diff cleanly under version control.
+// - `boundary` is the drawn property outline in cell units; `excludedCells` are the [x, y] cells
+//   outside it (or masked by hand) that cannot be planted.
+// - `site.latitude` is in degrees (negative south of the equator); `site.orientation` is the compass
+//   bearing of the grid's top edge, used by the sun and shade simulation.
+// - `site.hardinessZone` is a USDA zone (7.5 for 7b); `lastFrost` and `firstFrost` are "MM-DD" dates,
+//   null on a frost-free site. `climate` is the preset the site fields started from.
+// - Version 0 is the unversioned snapshot the planner kept in localStorage before this format existed.
+//   Older documents are migrated step by step to PROJECT_FORMAT_VERSION on read.
+import { DEFAULT_LATITUDES } from './shadeModel';
+import { CLIMATE_PRESETS, isFrostDate } from './siteClimate';
+import { CLIMATES, MIN_ZONE, MAX_ZONE } from './plantValidation';
+import { SEXES, createPlanting } from './pollination';
+import { findPlantById } from './plantLibrary';
+
+export const PROJECT_FORMAT = 'food-forest-planner';
+export const PROJECT_FORMAT_VERSION = 5;
+export const PROJECT_FILE_EXTENSION = '.foodforest.json';
+
+const SIZE_MODES = ['acre', 'custom'];
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isPair = (value) => Array.isArray(value) && value.length === 2 && value.every(Number.isInteger);
+const isCellPlant = (value) => Number.isInteger(value) || (isObject(value) && Number.isInteger(value.id) && SEXES.includes(value.sex));
+
+const keysToPairs = (cells) => {
+    return Object.keys(cells)
+        .map(key => key.split(',').map(Number))
+        .sort((a, b) => a[1] - b[1] || a[0] - b[0]);
+};
+
+const gridToCells = (gridState) => {
+    return Object.entries(gridState)
+        .map(([key, plants]) => {
+            const [x, y] = key.split(',').map(Number);
+            return { x, y, plants: plants.map(plant => (plant.sex ? { id: plant.id, sex: plant.sex } : plant.id)) };
+        })
+        .filter(cell => cell.plants.length > 0)
+        .sort((a, b) => a.y - b.y || a.x - b.x);
+};
+
+// Square grid size the planner derived from the property settings in version 0
+const legacyGridSize = ({ sizeMode, propertySize, customLength, customWidth }) => {
+    const size = sizeMode === 'acre'
+        ? Math.floor(Math.sqrt(propertySize * 43560 / 81))
+        : Math.floor(Math.min(customLength, customWidth) / 9);
+    return Math.max(size || 0, 1);
+};
+
+const migrations = {
+    // 0 -> 1: the localStorage snapshot stored gridState as { "x,y": [ids] } and no grid size
+    0: (doc) => ({
+        format: PROJECT_FORMAT,
+        version: 1,
+        name: doc.name || 'Untitled food forest',
+        grid: {
+            width: legacyGridSize(doc),
+            height: legacyGridSize(doc),
+            sizeMode: doc.sizeMode,
+            propertySize: doc.propertySize,
+            customLength: doc.customLength,
+            customWidth: doc.customWidth
+        },
+        climate: doc.climate,
+        forestAge: doc.forestAge,
+        cells: Object.entries(doc.gridState || {})
+            .map(([key, ids]) => {
+                const [x, y] = key.split(',').map(Number);
+                return { x, y, plants: ids };
+            })
+            .sort((a, b) => a.y - b.y || a.x - b.x),
+        costs: { setup: doc.setupCosts || {}, annual: doc.annualCosts || {} }
+    }),
+    // 1 -> 2: rectangular grids gained a drawn boundary and excluded cells
+    1: (doc) => ({
+        ...doc,
+        version: 2,
+        grid: { ...doc.grid, boundary: [], excludedCells: [] }
+    }),
+    // 2 -> 3: site latitude and grid orientation for the shade simulation
+    2: (doc) => ({
+        ...doc,
+        version: 3,
+        site: { latitude: DEFAULT_LATITUDES[doc.climate] || 0, orientation: 0 }
+    }),
+    // 3 -> 4: hardiness zone, frost dates and chill hours, taken from the climate preset
+    3: (doc) => ({
+        ...doc,
+        version: 4,
+        site: { ...doc.site, ...(CLIMATE_PRESETS[doc.climate] || CLIMATE_PRESETS.Tropical) }
+    }),
+    // 4 -> 5: cell plants may be { id, sex } entries; plain ids stay valid
+    4: (doc) => ({ ...doc, version: 5 })
+};
+
+export const getDocumentVersion = (doc) => {
+    if (!isObject(doc)) return null;
+    if (doc.version === undefined && isObject(doc.gridState)) return 0;
+    return doc.version;
+};
+
+export const migrateProjectDocument = (doc) => {
+    let version = getDocumentVersion(doc);
+    if (!Number.isInteger(version)) {
+        throw new Error('Not a food forest project: missing format version.');
+    }
+    if (version > PROJECT_FORMAT_VERSION) {
+        throw new Error(`Project was saved by a newer planner (format version ${version}). Please update the planner.`);
+    }
+    let migrated = doc;
+    while (version < PROJECT_FORMAT_VERSION) {
+        migrated = migrations[version](migrated);
+        version = migrated.version;
+    }
+    return migrated;
+};
+
+export const validateProjectDocument = (doc) => {
+    const errors = [];
+    if (!isObject(doc)) {
+        return ['Project must be a JSON object.'];
+    }
+    if (doc.format !== PROJECT_FORMAT) errors.push(`"format" must be "${PROJECT_FORMAT}".`);
+    if (doc.version !== PROJECT_FORMAT_VERSION) errors.push(`"version" must be ${PROJECT_FORMAT_VERSION}.`);
+    if (typeof doc.name !== 'string') errors.push('"name" must be a string.');
+
+    const grid = doc.grid;
+    if (!isObject(grid)) {
+        errors.push('"grid" must be an object.');
+    } else {
+        ['width', 'height'].forEach(field => {
+            if (!Number.isInteger(grid[field]) || grid[field] < 1) {
+                errors.push(`"grid.${field}" must be a positive integer.`);
+            }
+        });
+        if (!SIZE_MODES.includes(grid.sizeMode)) errors.push(`"grid.sizeMode" must be one of ${SIZE_MODES.join(', ')}.`);
+        ['propertySize', 'customLength', 'customWidth'].forEach(field => {
+            if (!isNumber(grid[field]) || grid[field] < 0) {
+                errors.push(`"grid.${field}" must be a non-negative number.`);
+            }
+        });
+        ['boundary', 'excludedCells'].forEach(field => {
+            if (!Array.isArray(grid[field]) || !grid[field].every(isPair)) {
+                errors.push(`"grid.${field}" must be an array of [x, y] integer pairs.`);
+            }
+        });
+    }
+
+    if (!CLIMATES.includes(doc.climate)) errors.push(`"climate" must be one of ${CLIMATES.join(', ')}.`);
+    if (!Number.isInteger(doc.forestAge) || doc.forestAge < 1) errors.push('"forestAge" must be a positive integer.');
+    if (!isObject(doc.site)) {
+        errors.push('"site" must be an object.');
+    } else {
+        if (!isNumber(doc.site.latitude) || Math.abs(doc.site.latitude) > 90) errors.push('"site.latitude" must be between -90 and 90.');
+        if (!isNumber(doc.site.orientation)) errors.push('"site.orientation" must be a number of degrees.');
+        const zone = doc.site.hardinessZone;
+        if (!isNumber(zone) || zone < MIN_ZONE || zone > MAX_ZONE) {
+            errors.push(`"site.hardinessZone" must be a USDA zone from ${MIN_ZONE} to ${MAX_ZONE}.`);
+        }
+        const frostFree = doc.site.lastFrost === null && doc.site.firstFrost === null;
+        if (!frostFree && !(isFrostDate(doc.site.lastFrost) && isFrostDate(doc.site.firstFrost))) {
+            errors.push('"site.lastFrost" and "site.firstFrost" must both be "MM-DD" dates, or both null.');
+        }
+        if (!isNumber(doc.site.chillHours) || doc.site.chillHours < 0) errors.push('"site.chillHours" must be a non-negative number.');
+    }
+
+    if (!Array.isArray(doc.cells)) {
+        errors.push('"cells" must be an array.');
+    } else {
+        doc.cells.forEach((cell, index) => {
+            if (!isObject(cell) || !Number.isInteger(cell.x) || !Number.isInteger(cell.y)) {
+                errors.push(`cells[${index}] must have integer "x" and "y".`);
+                return;
+            }
+            if (isObject(grid) && (cell.x < 0 || cell.y < 0 || cell.x >= grid.width || cell.y >= grid.height)) {
+                errors.push(`cells[${index}] (${cell.x},${cell.y}) is outside the ${grid.width}x${grid.height} grid.`);
+            }
+            if (!Array.isArray(cell.plants) || !cell.plants.every(isCellPlant)) {
+                errors.push(`cells[${index}].plants must be an array of plant ids or { "id", "sex" } entries.`);
+            }
+        });
+    }
+
+    if (!isObject(doc.costs) || !isObject(doc.costs.setup) || !isObject(doc.costs.annual)) {
+        errors.push('"costs" must contain "setup" and "annual" objects.');
+    } else {
+        ['setup', 'annual'].forEach(table => {
+            Object.entries(doc.costs[table]).forEach(([key, value]) => {
+                if (!isNumber(value)) errors.push(`"costs.${table}.${key}" must be a number.`);
+            });
+        });
+    }
+
+    return errors;
+};
+
+export const createProjectDocument = ({
+    name,
+    gridState,
+    dimensions,
+    excludedCells,
+    boundary,
+    sizeMode,
+    propertySize,
+    customLength,
+    customWidth,
+    climate,
+    latitude,
+    orientation,
+    hardinessZone,
+    lastFrost,
+    firstFrost,
+    chillHours,
+    forestAge,
+    setupCosts,
+    annualCosts
+}) => ({
+    format: PROJECT_FORMAT,
+    version: PROJECT_FORMAT_VERSION,
+    name,
+    grid: {
+        width: dimensions.width,
+        height: dimensions.height,
+        sizeMode,
+        propertySize,
+        customLength,
+        customWidth,
+        boundary: boundary.map(point => [point.x, point.y]),
+        excludedCells: keysToPairs(excludedCells)
+    },
+    climate,
+    site: { latitude, orientation, hardinessZone, lastFrost, firstFrost, chillHours },
+    forestAge,
+    cells: gridToCells(gridState),
+    costs: { setup: setupCosts, annual: annualCosts }
+});
+
+// Returns { project, errors, warnings }; project is null when the document cannot be used.
+export const readProjectDocument = (doc, plants) => {
+    let migrated;
+    try {
+        migrated = migrateProjectDocument(doc);
+    } catch (e) {
+        return { project: null, errors: [e.message], warnings: [] };
+    }
+
+    const errors = validateProjectDocument(migrated);
+    if (errors.length > 0) {
+        return { project: null, errors, warnings: [] };
+    }
+
+    const warnings = [];
+    const gridState = {};
+    migrated.cells.forEach(({ x, y, plants: entries }) => {
+        const cellPlants = entries
+            .map(entry => {
+                const id = Number.isInteger(entry) ? entry : entry.id;
+                const plant = findPlantById(plants, id);
+                if (!plant) warnings.push(`Unknown plant id ${id} at (${x},${y}) was skipped.`);
+                return plant && !Number.isInteger(entry) ? createPlanting(plant, entry.sex) : plant;
+            })
+            .filter(Boolean);
+        if (cellPlants.length > 0) {
+            gridState[`${x},${y}`] = cellPlants;
+        }
+    });
+
+    const { grid, costs } = migrated;
+    return {
+        project: {
+            name: migrated.name,
+            gridState,
+            dimensions: { width: grid.width, height: grid.height },
+            boundary: grid.boundary.map(([x, y]) => ({ x, y })),
+            excludedCells: Object.fromEntries(grid.excludedCells.map(([x, y]) => [`${x},${y}`, true])),
+            sizeMode: grid.sizeMode,
+            propertySize: grid.propertySize,
+            customLength: grid.customLength,
+            customWidth: grid.customWidth,
+            climate: migrated.climate,
+            latitude: migrated.site.latitude,
+            orientation: migrated.site.orientation,
+            hardinessZone: migrated.site.hardinessZone,
+            lastFrost: migrated.site.lastFrost,
+            firstFrost: migrated.site.firstFrost,
+            chillHours: migrated.site.chillHours,
+            forestAge: migrated.forestAge,
+            setupCosts: costs.setup,
+            annualCosts: costs.annual
+        },
+        errors: [],
+        warnings
+    };
+};
+
+export const parseProjectFile = (text, plants) => {
+    let doc;
+    try {
+        doc = JSON.parse(text);
+    } catch (e) {
+        return { project: null, errors: [`Invalid JSON: ${e.message}`], warnings: [] };
+    }
+    return readProjectDocument(doc, plants);
+};
+
+export const stringifyProjectDocument = (doc) => JSON.stringify(doc, null, 2) + '\n';
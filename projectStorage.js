@@ -0,0 +1,89 @@
+// Named food forest projects, kept in the browser's localStorage.
+const PROJECTS_KEY = 'foodForestPlanner.projects';
+const AUTOSAVE_KEY = 'foodForestPlanner.autosave';
+
+export const readJSON = (key, fallback) => {
+    try {
+        const raw = window.localStorage.getItem(key);
+        return raw ? JSON.parse(raw) : fallback;
+    } catch (e) {
+        return fallback;
+    }
+};
+
+export const writeJSON = (key, value) => {
+    try {
+        window.localStorage.setItem(key, JSON.stringify(value));
+        return true;
+    } catch (e) {
+        // Quota exceeded or storage disabled (private browsing)
+        return false;
+    }
+};
+
+const readProjects = () => readJSON(PROJECTS_KEY, {});
+
+const writeProjects = (projects) => writeJSON(PROJECTS_KEY, projects);
+
+const createProjectId = () => Date.now().toString(36) + Math.random().toString(36).slice(2, 7);
+
+export const listProjects = () => {
+    return Object.values(readProjects())
+        .map(({ id, name, createdAt, updatedAt }) => ({ id, name, createdAt, updatedAt }))
+        .sort((a, b) => b.updatedAt - a.updatedAt);
+};
+
+// Entries written before the project file format existed hold an unversioned `snapshot`
+const withDocument = (entry) => {
+    if (!entry) return null;
+    const { snapshot, ...rest } = entry;
+    return { ...rest, document: entry.document || snapshot };
+};
+
+export const loadProject = (id) => withDocument(readProjects()[id]);
+
+export const saveProject = (name, document, id = createProjectId()) => {
+    const projects = readProjects();
+    const now = Date.now();
+    const project = {
+        id,
+        name,
+        createdAt: projects[id] ? projects[id].createdAt : now,
+        updatedAt: now,
+        document: { ...document, name }
+    };
+    projects[id] = project;
+    return writeProjects(projects) ? project : null;
+};
+
+export const renameProject = (id, name) => {
+    const project = loadProject(id);
+    if (!project) return null;
+    return saveProject(name, project.document, id);
+};
+
+export const duplicateProject = (id) => {
+    const original = loadProject(id);
+    if (!original) return null;
+    return saveProject(`${original.name} (copy)`, original.document);
+};
+
+export const deleteProject = (id) => {
+    const projects = readProjects();
+    delete projects[id];
+    return writeProjects(projects);
+};
+
+// The autosave is a single slot of its own: it never overwrites a named project, which changes
+// only when saved explicitly. `projectId` is the project the design was loaded from, if any.
+export const saveAutosave = (document, projectId) => {
+    return writeJSON(AUTOSAVE_KEY, { projectId: projectId || null, savedAt: Date.now(), document });
+};
+
+export const loadAutosave = () => withDocument(readJSON(AUTOSAVE_KEY, null));
+
+// Whether the autosave differs from the last saved version of its project (names aside)
+export const hasUnsavedChanges = (project, autosave) => {
+    const withoutName = (document) => JSON.stringify({ ...document, name: null });
+    return withoutName(project.document) !== withoutName(autosave.document);
+};
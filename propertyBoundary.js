@@ -0,0 +1,59 @@
+// Irregular property boundaries drawn over the rectangular grid.
+//
+// A boundary is a closed polygon of { x, y } vertices in cell units (1 unit = one 9 ft cell edge),
+// snapped to grid corners. Cells whose centre falls outside it are excluded from planting and scoring.
+
+export const CELL_FEET = 9;
+
+export const snapToCorner = (wx, wy, cellSize) => ({
+    x: Math.round(wx / cellSize),
+    y: Math.round(wy / cellSize)
+});
+
+// Even-odd ray casting
+export const pointInPolygon = (px, py, polygon) => {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        if ((a.y > py) !== (b.y > py) && px < (b.x - a.x) * (py - a.y) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+};
+
+export const excludedCellsFromPolygon = (polygon, dimensions) => {
+    const excluded = {};
+    if (polygon.length < 3) return excluded;
+    for (let y = 0; y < dimensions.height; y++) {
+        for (let x = 0; x < dimensions.width; x++) {
+            if (!pointInPolygon(x + 0.5, y + 0.5, polygon)) {
+                excluded[`${x},${y}`] = true;
+            }
+        }
+    }
+    return excluded;
+};
+
+export const toggleExcludedCell = (excludedCells, key) => {
+    const { [key]: wasExcluded, ...rest } = excludedCells;
+    return wasExcluded ? rest : { ...excludedCells, [key]: true };
+};
+
+export const countUsableCells = (dimensions, excludedCells) => {
+    const excludedInside = Object.keys(excludedCells).filter(key => {
+        const [x, y] = key.split(',').map(Number);
+        return x < dimensions.width && y < dimensions.height;
+    }).length;
+    return dimensions.width * dimensions.height - excludedInside;
+};
+
+// Shoelace formula, in square feet
+export const polygonArea = (polygon) => {
+    let area = 0;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        area += (polygon[j].x + polygon[i].x) * (polygon[j].y - polygon[i].y);
+    }
+    return Math.abs(area / 2) * CELL_FEET * CELL_FEET;
+};
@@ -0,0 +1,270 @@
+// Design scores for a planting layout.
+//
+// The score is the sum of named rules, each belonging to one category (biodiversity, yield or
+// vertical). A rule turns the layout into raw points from its parameters and explains them in
+// `details`; the points it adds are raw points times its weight, rounded. A scoring model holds
+// every rule's weight and parameters:
+//
+// { "species": { "weight": 1, "pointsPerSpecies": 10 }, "layers": { ... }, ... }
+//
+// Plantings are the entries of analyzePollination, so only plants that can set fruit count towards
+// yield and income, and each crop follows its plant's life cycle (see growth.js).
+import { readJSON, writeJSON } from './projectStorage';
+import { LAYERS } from './plantValidation';
+import { countEcologicalRoles } from './ecologicalRoles';
+import { analyzePollination, getPlantSex } from './pollination';
+import { getStandingPlants, getYieldFactor } from './growth';
+
+const SCORING_MODEL_KEY = 'foodForestPlanner.scoringModel';
+
+export const SCORE_KEYS = ['biodiversity', 'yield', 'vertical'];
+
+export const DEFAULT_WEIGHTS = { biodiversity: 1, yield: 1, vertical: 1 };
+
+// Contributions listed by name in a rule's details
+const TOP_CONTRIBUTORS = 3;
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+// "Mango Tree 120, Banana 80 and 3 more" from a Map of name to amount
+const describeContributors = (amounts) => {
+    const sorted = [...amounts.entries()].sort((a, b) => b[1] - a[1]);
+    const named = sorted.slice(0, TOP_CONTRIBUTORS).map(([name, amount]) => `${name} ${Math.round(amount)}`).join(', ');
+    return sorted.length > TOP_CONTRIBUTORS ? `${named} and ${sorted.length - TOP_CONTRIBUTORS} more` : named;
+};
+
+// Annual amount per species over the fruiting plants
+const sumFruiting = (plantings, forestAge, amount) => {
+    const amounts = new Map();
+    plantings.forEach(({ plant, fruits }) => {
+        if (!fruits) return;
+        amounts.set(plant.name, (amounts.get(plant.name) || 0) + amount(plant) * getYieldFactor(plant, forestAge));
+    });
+    return amounts;
+};
+
+const total = (amounts) => [...amounts.values()].reduce((sum, amount) => sum + amount, 0);
+
+// Each rule: { id, category, label, parameters: [{ key, label, default }], evaluate(context, values) }
+// where context is { gridState, plants, plantings, forestAge } and evaluate returns { points, details }
+export const SCORING_RULES = [
+    {
+        id: 'species',
+        category: 'biodiversity',
+        label: 'Species richness',
+        parameters: [{ key: 'pointsPerSpecies', label: 'Points per species', default: 10 }],
+        evaluate: ({ plants }, { pointsPerSpecies }) => {
+            const species = new Set(plants.map(plant => plant.name)).size;
+            return { points: species * pointsPerSpecies, details: [`${species} species × ${pointsPerSpecies}.`] };
+        }
+    },
+    {
+        id: 'layers',
+        category: 'biodiversity',
+        label: 'Layers planted',
+        parameters: [
+            { key: 'pointsPerLayer', label: 'Points per layer', default: 0 },
+            { key: 'allLayersBonus', label: 'Bonus for every layer', default: 50 }
+        ],
+        evaluate: ({ plants }, { pointsPerLayer, allLayersBonus }) => {
+            const used = LAYERS.filter(layer => plants.some(plant => plant.layer === layer));
+            const missing = LAYERS.filter(layer => !used.includes(layer));
+            const details = [`${used.length} of ${LAYERS.length} layers × ${pointsPerLayer}.`];
+            if (missing.length === 0) {
+                details.push(`Every layer is planted: +${allLayersBonus}.`);
+            } else if (allLayersBonus > 0) {
+                details.push(`Bonus of ${allLayersBonus} missed; no ${missing.join(', ')}.`);
+            }
+            return { points: used.length * pointsPerLayer + (missing.length === 0 ? allLayersBonus : 0), details };
+        }
+    },
+    {
+        id: 'roles',
+        category: 'biodiversity',
+        label: 'Ecological functions',
+        parameters: [{ key: 'pointsPerRole', label: 'Points per role present', default: 0 }],
+        evaluate: ({ gridState }, { pointsPerRole }) => {
+            const counts = countEcologicalRoles(gridState);
+            const present = counts.filter(count => count.plants > 0).map(count => count.role);
+            const missing = counts.filter(count => count.plants === 0).map(count => count.role);
+            const details = [`${present.length} of ${counts.length} roles × ${pointsPerRole}.`];
+            if (missing.length > 0 && pointsPerRole > 0) details.push(`Missing: ${missing.join(', ')}.`);
+            return { points: present.length * pointsPerRole, details };
+        }
+    },
+    {
+        id: 'yield',
+        category: 'yield',
+        label: 'Crop yield',
+        parameters: [{ key: 'pointsPerUnit', label: 'Points per unit harvested a year', default: 1 }],
+        evaluate: ({ plantings, forestAge }, { pointsPerUnit }) => {
+            const amounts = sumFruiting(plantings, forestAge, plant => plant.yieldPerYear);
+            const harvest = Math.floor(total(amounts));
+            const details = [`${harvest} units a year × ${pointsPerUnit}.`];
+            if (amounts.size > 0) details.push(`From ${describeContributors(amounts)}.`);
+            return { points: harvest * pointsPerUnit, details };
+        }
+    },
+    {
+        id: 'income',
+        category: 'yield',
+        label: 'Crop value',
+        parameters: [{ key: 'pointsPerDollar', label: 'Points per dollar a year', default: 0.1 }],
+        evaluate: ({ plantings, forestAge }, { pointsPerDollar }) => {
+            const amounts = sumFruiting(plantings, forestAge, plant => plant.yieldPerYear * plant.marketPrice);
+            const income = total(amounts);
+            const details = [`$${income.toFixed(2)} a year × ${pointsPerDollar}.`];
+            if (amounts.size > 0) details.push(`From ${describeContributors(amounts)}.`);
+            return { points: income * pointsPerDollar, details };
+        }
+    },
+    {
+        id: 'pollination',
+        category: 'yield',
+        label: 'Unpollinated plants',
+        parameters: [{ key: 'penaltyPerPlant', label: 'Points lost per plant', default: 10 }],
+        evaluate: ({ plantings }, { penaltyPerPlant }) => {
+            // Males never fruit by design and are not counted
+            const barren = plantings.filter(({ plant, fruits }) => !fruits && getPlantSex(plant) !== 'male');
+            const names = new Map();
+            barren.forEach(({ plant }) => names.set(plant.name, (names.get(plant.name) || 0) + 1));
+            const details = [`${plural(barren.length, 'plant')} without a pollinator × −${penaltyPerPlant}.`];
+            if (barren.length > 0) details.push(`By species: ${describeContributors(names)}.`);
+            return { points: -barren.length * penaltyPerPlant, details };
+        }
+    },
+    {
+        id: 'layerDepth',
+        category: 'vertical',
+        label: 'Plants per layer',
+        parameters: [
+            { key: 'pointsPerPlant', label: 'Points per plant', default: 10 },
+            { key: 'maxPerLayer', label: 'Plants counted per layer', default: 5 }
+        ],
+        evaluate: ({ plants }, { pointsPerPlant, maxPerLayer }) => {
+            const counts = LAYERS
+                .map(layer => ({ layer, count: plants.filter(plant => plant.layer === layer).length }))
+                .filter(({ count }) => count > 0);
+            const counted = counts.reduce((sum, { count }) => sum + Math.min(count, maxPerLayer), 0);
+            const details = [`${plural(counted, 'plant')} counted × ${pointsPerPlant}.`];
+            const capped = counts.filter(({ count }) => count > maxPerLayer).map(({ layer, count }) => `${layer} (${count})`);
+            if (capped.length > 0) details.push(`Only ${maxPerLayer} counted in ${capped.join(', ')}.`);
+            return { points: counted * pointsPerPlant, details };
+        }
+    }
+];
+
+// A model with every rule at weight 1 and default parameters, overridden by `overrides`
+export const createScoringModel = (overrides = {}) => Object.fromEntries(SCORING_RULES.map(rule => [rule.id, {
+    weight: 1,
+    ...Object.fromEntries(rule.parameters.map(parameter => [parameter.key, parameter.default])),
+    ...overrides[rule.id]
+}]));
+
+export const SCORING_PRESETS = {
+    balanced: {
+        label: 'Balanced',
+        description: 'Species, layers and yield in equal measure; crop value and functions count nothing.',
+        model: createScoringModel({ income: { weight: 0 }, pollination: { weight: 0 } })
+    },
+    market: {
+        label: 'Market garden',
+        description: 'Crop value first; every plant left without a pollinator costs money.',
+        model: createScoringModel({
+            species: { weight: 0.5 },
+            layers: { weight: 0.5 },
+            yield: { weight: 0 },
+            income: { weight: 1 },
+            pollination: { penaltyPerPlant: 25 },
+            layerDepth: { weight: 0.5 }
+        })
+    },
+    subsistence: {
+        label: 'Subsistence',
+        description: 'Food harvested for the household, from a wide range of crops.',
+        model: createScoringModel({
+            species: { weight: 1.5 },
+            yield: { weight: 2 },
+            income: { weight: 0 },
+            roles: { pointsPerRole: 10 }
+        })
+    },
+    restoration: {
+        label: 'Ecological restoration',
+        description: 'Diversity, full layering and ecological functions; harvest matters little.',
+        model: createScoringModel({
+            species: { weight: 2 },
+            layers: { pointsPerLayer: 10, weight: 2 },
+            roles: { pointsPerRole: 25 },
+            yield: { weight: 0.1 },
+            income: { weight: 0 },
+            pollination: { weight: 0 },
+            layerDepth: { maxPerLayer: 10 }
+        })
+    }
+};
+
+export const DEFAULT_SCORING_MODEL = SCORING_PRESETS.balanced.model;
+
+// Returns { biodiversity, yield, vertical, total, rules: [{ id, category, label, weight, points, details }] }
+export const calculateScores = (gridState, plantings, forestAge, model = DEFAULT_SCORING_MODEL) => {
+    const context = { gridState, plants: Object.values(gridState).flat(), plantings, forestAge };
+    const rules = SCORING_RULES.map(rule => {
+        const { weight, ...values } = model[rule.id] || DEFAULT_SCORING_MODEL[rule.id];
+        const { points, details } = rule.evaluate(context, values);
+        // `|| 0` turns a zero-weighted penalty's -0 into 0
+        const weighted = Math.round(points * weight) || 0;
+        return {
+            id: rule.id,
+            category: rule.category,
+            label: rule.label,
+            weight,
+            points: weighted,
+            details: weight === 1 ? details : [...details, `Weighted × ${weight}.`]
+        };
+    });
+    const scores = Object.fromEntries(SCORE_KEYS.map(key => [
+        key,
+        rules.filter(rule => rule.category === key).reduce((sum, rule) => sum + rule.points, 0)
+    ]));
+    return { ...scores, total: SCORE_KEYS.reduce((sum, key) => sum + scores[key], 0), rules };
+};
+
+// The weighted sum the layout optimizer maximises
+export const combineScores = (scores, weights) => {
+    return SCORE_KEYS.reduce((sum, key) => sum + scores[key] * (weights[key] || 0), 0);
+};
+
+// Income over `forestAge` years less a flat setup cost and running costs
+export const calculateProfit = (plantings, forestAge) => {
+    const totalIncome = plantings.reduce((sum, { plant, fruits }) => {
+        return sum + (fruits ? plant.yieldPerYear * getYieldFactor(plant, forestAge) * plant.marketPrice : 0);
+    }, 0);
+
+    const setupCost = 1000;
+    const annualCost = 500;
+
+    const totalCost = setupCost + (annualCost * forestAge);
+    return totalIncome * forestAge - totalCost;
+};
+
+// The design in every year from 1 to `years`, with plants past their lifespan removed:
+// [{ year, biodiversity, yield, vertical, total, income, plants }] where income is the year's crop value
+export const projectScores = (gridState, years, pollinationDistance, model = DEFAULT_SCORING_MODEL) => {
+    return Array.from({ length: years }, (_, index) => {
+        const year = index + 1;
+        const standing = getStandingPlants(gridState, year);
+        const { plantings } = analyzePollination(standing, pollinationDistance);
+        const { rules, ...scores } = calculateScores(standing, plantings, year, model);
+        const income = total(sumFruiting(plantings, year, plant => plant.yieldPerYear * plant.marketPrice));
+        return { year, ...scores, income: Math.round(income), plants: Object.values(standing).flat().length };
+    });
+};
+
+// Models saved by an older version may lack newer rules or parameters
+export const loadScoringModel = () => {
+    const stored = readJSON(SCORING_MODEL_KEY, {});
+    return Object.fromEntries(SCORING_RULES.map(rule => [rule.id, { ...DEFAULT_SCORING_MODEL[rule.id], ...stored[rule.id] }]));
+};
+
+export const saveScoringModel = (model) => writeJSON(SCORING_MODEL_KEY, model);
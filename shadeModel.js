@@ -0,0 +1,174 @@
+// Sun and shade simulation over the grid.
+//
+// The sun is sampled hourly from 8:00 to 16:00 solar time on the spring equinox, midsummer and
+// the autumn equinox. Every plant casts its crown's shadow as a capsule swept from the base of
+// the crown to the treetop along the shadow direction. A cell's light level for a receiver of a
+// given height is the share of samples in which no taller plant shades it.
+import { CELL_FEET } from './propertyBoundary';
+import { getCanopyRadius, getGrowthFactor } from './plantFootprint';
+
+const SAMPLE_HOURS = [8, 9, 10, 11, 12, 13, 14, 15, 16];
+const NORTHERN_SAMPLE_DAYS = [80, 172, 266];
+const SOUTHERN_SAMPLE_DAYS = [80, 355, 266];
+// Plants lower than this (ground covers, herbs) do not meaningfully shade their neighbours
+const MIN_OCCLUDER_HEIGHT = 3;
+// The crown starts this far up the plant
+const CROWN_BASE = 0.3;
+// Shadows of a very low sun are clipped to this length in feet
+const MAX_SHADOW_LENGTH = 200;
+// Shadow heights are stored as whole feet in a byte; the top value marks night
+const MAX_STORED_HEIGHT = 254;
+const NIGHT = 255;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+export const DEFAULT_LATITUDES = {
+    'Tropical': 10,
+    'Subtropical': 28,
+    'Temperate': 45
+};
+
+// Minimum (and for shade lovers maximum) share of full sun each `sunlight` description needs
+export const getLightRequirement = (sunlight = '') => {
+    const text = sunlight.toLowerCase();
+    const full = text.includes('full sun');
+    const partial = text.includes('partial');
+    if (full && partial) return { min: 0.45, max: 1 };
+    if (full) return { min: 0.75, max: 1 };
+    if (partial) return { min: 0.2, max: 0.85 };
+    if (text.includes('shade')) return { min: 0, max: 0.5 };
+    return { min: 0, max: 1 };
+};
+
+export const getPlantHeight = (plant, forestAge) => (plant.matureHeight || 0) * getGrowthFactor(plant, forestAge);
+
+// Solar elevation and azimuth (clockwise from north), both in radians
+export const solarPosition = (latitude, dayOfYear, hour) => {
+    const declination = toRadians(23.44) * Math.sin(2 * Math.PI * (284 + dayOfYear) / 365);
+    const hourAngle = toRadians(15 * (hour - 12));
+    const lat = toRadians(latitude);
+    const sinElevation = Math.sin(lat) * Math.sin(declination) + Math.cos(lat) * Math.cos(declination) * Math.cos(hourAngle);
+    const elevation = Math.asin(sinElevation);
+    const cosAzimuth = (Math.sin(declination) - sinElevation * Math.sin(lat)) / (Math.cos(elevation) * Math.cos(lat) || 1e-9);
+    let azimuth = Math.acos(Math.max(-1, Math.min(1, cosAzimuth)));
+    if (hourAngle > 0) azimuth = 2 * Math.PI - azimuth;
+    return { elevation, azimuth };
+};
+
+export const getSunSamples = (latitude) => {
+    const days = latitude < 0 ? SOUTHERN_SAMPLE_DAYS : NORTHERN_SAMPLE_DAYS;
+    const samples = [];
+    days.forEach(day => {
+        SAMPLE_HOURS.forEach(hour => {
+            samples.push(solarPosition(latitude, day, hour));
+        });
+    });
+    return samples;
+};
+
+const distanceToSegment = (px, py, ax, ay, bx, by) => {
+    const dx = bx - ax;
+    const dy = by - ay;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSquared));
+    return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+};
+
+// orientation is the compass bearing, in degrees, of the grid's top edge (0 = north is up).
+// Returns { width, height, sampleCount, shadowHeights } where shadowHeights[s * cells + index]
+// is the height in feet (rounded up) of the tallest plant shading that cell in sample s (0 when sunlit).
+export const computeShadeMap = ({ gridState, dimensions, forestAge, latitude, orientation = 0 }) => {
+    const { width, height } = dimensions;
+    const cells = width * height;
+    const samples = getSunSamples(latitude);
+    const shadowHeights = new Uint8Array(samples.length * cells);
+
+    const occluders = [];
+    Object.entries(gridState).forEach(([key, plants]) => {
+        const [x, y] = key.split(',').map(Number);
+        plants.forEach(plant => {
+            const plantHeight = getPlantHeight(plant, forestAge);
+            if (plantHeight >= MIN_OCCLUDER_HEIGHT) {
+                occluders.push({
+                    // Cell centre, in feet
+                    fx: (x + 0.5) * CELL_FEET,
+                    fy: (y + 0.5) * CELL_FEET,
+                    height: Math.min(Math.ceil(plantHeight), MAX_STORED_HEIGHT),
+                    radius: Math.max(getCanopyRadius(plant, forestAge), CELL_FEET / 2)
+                });
+            }
+        });
+    });
+
+    samples.forEach((sun, sampleIndex) => {
+        const offset = sampleIndex * cells;
+        if (sun.elevation <= 0) {
+            // Sun below the horizon: everything is dark
+            shadowHeights.fill(NIGHT, offset, offset + cells);
+            return;
+        }
+        // Shadows fall away from the sun
+        const bearing = sun.azimuth - toRadians(orientation);
+        const dirX = -Math.sin(bearing);
+        const dirY = Math.cos(bearing);
+        const tanElevation = Math.tan(sun.elevation);
+
+        occluders.forEach(occluder => {
+            const near = Math.min(occluder.height * CROWN_BASE / tanElevation, MAX_SHADOW_LENGTH);
+            const far = Math.min(occluder.height / tanElevation, MAX_SHADOW_LENGTH);
+            const ax = occluder.fx + dirX * near;
+            const ay = occluder.fy + dirY * near;
+            const bx = occluder.fx + dirX * far;
+            const by = occluder.fy + dirY * far;
+            const minX = Math.max(0, Math.floor((Math.min(ax, bx) - occluder.radius) / CELL_FEET));
+            const maxX = Math.min(width - 1, Math.floor((Math.max(ax, bx) + occluder.radius) / CELL_FEET));
+            const minY = Math.max(0, Math.floor((Math.min(ay, by) - occluder.radius) / CELL_FEET));
+            const maxY = Math.min(height - 1, Math.floor((Math.max(ay, by) + occluder.radius) / CELL_FEET));
+
+            for (let cy = minY; cy <= maxY; cy++) {
+                for (let cx = minX; cx <= maxX; cx++) {
+                    const distance = distanceToSegment((cx + 0.5) * CELL_FEET, (cy + 0.5) * CELL_FEET, ax, ay, bx, by);
+                    const index = offset + cy * width + cx;
+                    if (distance <= occluder.radius && shadowHeights[index] < occluder.height) {
+                        shadowHeights[index] = occluder.height;
+                    }
+                }
+            }
+        });
+    });
+
+    return { width, height, sampleCount: samples.length, shadowHeights };
+};
+
+// Share of samples (0-1) in which a receiver of receiverHeight feet at (x, y) is in the sun.
+// The receiver is rounded up like the stored shadow heights, so a plant is never shaded by itself.
+export const getLightAt = (shadeMap, x, y, receiverHeight = 0) => {
+    const { width, height, sampleCount, shadowHeights } = shadeMap;
+    if (x < 0 || y < 0 || x >= width || y >= height) return 1;
+    const cells = width * height;
+    const index = y * width + x;
+    const receiver = Math.min(Math.ceil(receiverHeight), MAX_STORED_HEIGHT);
+    let lit = 0;
+    for (let s = 0; s < sampleCount; s++) {
+        if (shadowHeights[s * cells + index] <= receiver) lit++;
+    }
+    return lit / sampleCount;
+};
+
+// Plants whose `sunlight` needs are not met at their position
+export const findLightIssues = (gridState, shadeMap, forestAge) => {
+    const issues = [];
+    Object.entries(gridState).forEach(([key, plants]) => {
+        const [x, y] = key.split(',').map(Number);
+        plants.forEach(plant => {
+            const light = getLightAt(shadeMap, x, y, getPlantHeight(plant, forestAge));
+            const requirement = getLightRequirement(plant.sunlight);
+            if (light < requirement.min) {
+                issues.push({ key, x, y, plant, light, problem: 'too-shaded' });
+            } else if (light > requirement.max) {
+                issues.push({ key, x, y, plant, light, problem: 'too-sunny' });
+            }
+        });
+    });
+    return issues;
+};
@@ -0,0 +1,125 @@
+// Site climate and plant suitability.
+//
+// A site is { hardinessZone, lastFrost, firstFrost, chillHours }:
+// - hardinessZone is a USDA zone number where half zones stand for the warmer "b" half, so 7.5 is 7b.
+// - lastFrost and firstFrost are "MM-DD" dates of the average last spring and first autumn frost,
+//   or null for a frost-free site. In the southern hemisphere the season runs across the new year.
+// - chillHours is the average number of winter hours below 45°F (7°C).
+//
+// Plants carry hardinessZoneMin/Max, chillHours and growingSeasonDays (frost-free days needed to
+// ripen a crop). Each requirement is rated 'ideal', 'marginal' or 'unsuitable', and a plant is
+// as suitable as its worst requirement.
+import { MIN_ZONE, MAX_ZONE } from './plantValidation';
+
+// The three climate buckets are now starting points for the site fields
+export const CLIMATE_PRESETS = {
+    Tropical: { hardinessZone: 12, lastFrost: null, firstFrost: null, chillHours: 0 },
+    Subtropical: { hardinessZone: 10, lastFrost: null, firstFrost: null, chillHours: 250 },
+    Temperate: { hardinessZone: 6, lastFrost: '04-25', firstFrost: '10-15', chillHours: 1000 }
+};
+
+export const SUITABILITIES = ['ideal', 'marginal', 'unsuitable'];
+
+// RHS ratings by the coldest USDA zone they cover (RHS H1a-H7 are bands of minimum temperature)
+const RHS_RATINGS = [
+    [13, 'H1a'],
+    [12, 'H1b'],
+    [11, 'H1c'],
+    [10, 'H2'],
+    [9, 'H3'],
+    [8, 'H4'],
+    [7, 'H5'],
+    [6, 'H6'],
+    [1, 'H7']
+];
+
+// 1a (1) to 13b (13.5)
+export const HARDINESS_ZONES = Array.from({ length: (MAX_ZONE - MIN_ZONE) * 2 + 1 }, (_, index) => MIN_ZONE + index / 2);
+
+export const formatZone = (zone) => `${Math.floor(zone)}${zone % 1 === 0 ? 'a' : 'b'}`;
+
+export const getRHSRating = (zone) => RHS_RATINGS.find(([minimum]) => zone >= minimum)[1];
+
+const DAYS_BEFORE_MONTH = [0, 31, 59, 90, 120, 151, 181, 212, 243, 273, 304, 334];
+
+export const isFrostDate = (value) => {
+    const match = /^(\d{2})-(\d{2})$/.exec(value || '');
+    if (!match) return false;
+    const month = Number(match[1]);
+    const day = Number(match[2]);
+    const daysInMonth = month === 12 ? 31 : DAYS_BEFORE_MONTH[month] - DAYS_BEFORE_MONTH[month - 1];
+    return month >= 1 && month <= 12 && day >= 1 && day <= daysInMonth;
+};
+
+// Day of the year (1-365) of an "MM-DD" date
+const dayOfYear = (value) => {
+    const [month, day] = value.split('-').map(Number);
+    return DAYS_BEFORE_MONTH[month - 1] + day;
+};
+
+export const getFrostFreeDays = ({ lastFrost, firstFrost }) => {
+    if (!lastFrost || !firstFrost) return 365;
+    const days = (dayOfYear(firstFrost) - dayOfYear(lastFrost) + 365) % 365;
+    return days === 0 ? 365 : days;
+};
+
+const rate = (suitability, reason) => ({ suitability, reason });
+
+const rateZone = (plant, zone) => {
+    if (zone < plant.hardinessZoneMin) {
+        const gap = plant.hardinessZoneMin - zone;
+        return gap <= 1
+            ? rate('marginal', `Hardy to zone ${formatZone(plant.hardinessZoneMin)}; needs winter protection in zone ${formatZone(zone)}.`)
+            : rate('unsuitable', `Hardy only to zone ${formatZone(plant.hardinessZoneMin)}; winters in zone ${formatZone(zone)} will kill it.`);
+    }
+    if (zone > plant.hardinessZoneMax + 0.5) {
+        const gap = zone - plant.hardinessZoneMax - 0.5;
+        return gap <= 1
+            ? rate('marginal', `Grows best up to zone ${formatZone(plant.hardinessZoneMax + 0.5)}; zone ${formatZone(zone)} is warmer than it likes.`)
+            : rate('unsuitable', `Grows only up to zone ${formatZone(plant.hardinessZoneMax + 0.5)}; zone ${formatZone(zone)} is too warm.`);
+    }
+    return rate('ideal', null);
+};
+
+const rateChill = (plant, chillHours) => {
+    if (chillHours >= plant.chillHours) return rate('ideal', null);
+    // Short of chill, trees leaf out late and crop poorly rather than failing outright
+    return chillHours >= plant.chillHours / 2
+        ? rate('marginal', `Needs ${plant.chillHours} chill hours to fruit well; the site gets ${chillHours}.`)
+        : rate('unsuitable', `Needs ${plant.chillHours} chill hours to fruit; the site gets only ${chillHours}.`);
+};
+
+const rateSeason = (plant, frostFreeDays) => {
+    if (frostFreeDays >= plant.growingSeasonDays) return rate('ideal', null);
+    return frostFreeDays >= plant.growingSeasonDays * 0.85
+        ? rate('marginal', `Needs ${plant.growingSeasonDays} frost-free days to ripen; the site has ${frostFreeDays}.`)
+        : rate('unsuitable', `Needs ${plant.growingSeasonDays} frost-free days to ripen; the site has only ${frostFreeDays}.`);
+};
+
+// Returns { suitability, score, reasons }. score orders plants within the same suitability:
+// higher when the site sits in the middle of the plant's zone range.
+export const getSuitability = (plant, site) => {
+    const ratings = [
+        rateZone(plant, site.hardinessZone),
+        rateChill(plant, site.chillHours),
+        rateSeason(plant, getFrostFreeDays(site))
+    ];
+    const suitability = ratings
+        .map(rating => rating.suitability)
+        .reduce((worst, suitability) => (SUITABILITIES.indexOf(suitability) > SUITABILITIES.indexOf(worst) ? suitability : worst), 'ideal');
+    const middle = (plant.hardinessZoneMin + plant.hardinessZoneMax + 0.5) / 2;
+    const halfRange = (plant.hardinessZoneMax + 0.5 - plant.hardinessZoneMin) / 2;
+    const centred = 1 - Math.min(Math.abs(site.hardinessZone - middle) / (halfRange + 1), 1);
+    return {
+        suitability,
+        score: (SUITABILITIES.length - 1 - SUITABILITIES.indexOf(suitability)) + centred,
+        reasons: ratings.map(rating => rating.reason).filter(Boolean)
+    };
+};
+
+// [{ plant, suitability, score, reasons }], most suitable first
+export const rankPlantsBySuitability = (plants, site) => {
+    return plants
+        .map(plant => ({ plant, ...getSuitability(plant, site) }))
+        .sort((a, b) => b.score - a.score || a.plant.name.localeCompare(b.plant.name));
+};
@@ -0,0 +1,69 @@
+// Zoom and pan state for the planner canvas.
+//
+// A view is { zoom, offsetX, offsetY }: offset is the world point (in unzoomed canvas pixels,
+// CELL_SIZE per cell) shown at the top-left corner, zoom is screen pixels per world pixel.
+
+export const MIN_ZOOM = 0.05;
+export const MAX_ZOOM = 4;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+export const screenToWorld = (view, sx, sy) => ({
+    x: sx / view.zoom + view.offsetX,
+    y: sy / view.zoom + view.offsetY
+});
+
+export const worldToScreen = (view, wx, wy) => ({
+    x: (wx - view.offsetX) * view.zoom,
+    y: (wy - view.offsetY) * view.zoom
+});
+
+export const screenToCell = (view, sx, sy, cellSize) => {
+    const world = screenToWorld(view, sx, sy);
+    return { x: Math.floor(world.x / cellSize), y: Math.floor(world.y / cellSize) };
+};
+
+// Zooms by factor while keeping the world point under (sx, sy) fixed on screen
+export const zoomAt = (view, factor, sx, sy) => {
+    const zoom = clamp(view.zoom * factor, MIN_ZOOM, MAX_ZOOM);
+    const anchor = screenToWorld(view, sx, sy);
+    return {
+        zoom,
+        offsetX: anchor.x - sx / zoom,
+        offsetY: anchor.y - sy / zoom
+    };
+};
+
+export const panBy = (view, dx, dy) => ({
+    ...view,
+    offsetX: view.offsetX - dx / view.zoom,
+    offsetY: view.offsetY - dy / view.zoom
+});
+
+export const centerOn = (view, wx, wy, viewportWidth, viewportHeight) => ({
+    ...view,
+    offsetX: wx - viewportWidth / view.zoom / 2,
+    offsetY: wy - viewportHeight / view.zoom / 2
+});
+
+// Largest zoom (never above 1:1) that shows the whole world, centered
+export const fitToView = (worldWidth, worldHeight, viewportWidth, viewportHeight, padding = 10) => {
+    const zoom = clamp(
+        Math.min((viewportWidth - padding * 2) / worldWidth, (viewportHeight - padding * 2) / worldHeight, 1),
+        MIN_ZOOM,
+        MAX_ZOOM
+    );
+    return centerOn({ zoom, offsetX: 0, offsetY: 0 }, worldWidth / 2, worldHeight / 2, viewportWidth, viewportHeight);
+};
+
+// Inclusive range of grid cells intersecting the viewport, clipped to the grid
+export const getVisibleCellRange = (view, viewportWidth, viewportHeight, cellSize, gridWidth, gridHeight) => {
+    const topLeft = screenToWorld(view, 0, 0);
+    const bottomRight = screenToWorld(view, viewportWidth, viewportHeight);
+    return {
+        minX: clamp(Math.floor(topLeft.x / cellSize), 0, gridWidth - 1),
+        minY: clamp(Math.floor(topLeft.y / cellSize), 0, gridHeight - 1),
+        maxX: clamp(Math.floor(bottomRight.x / cellSize), 0, gridWidth - 1),
+        maxY: clamp(Math.floor(bottomRight.y / cellSize), 0, gridHeight - 1)
+    };
+};